@@ -1,8 +1,12 @@
-import { useState, useEffect } from 'react';
-import { BrowserRouter, Routes, Route, useParams, useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { BrowserRouter, Routes, Route, useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import VideoEffectPreview from './components/VideoEffectPreview';
 import ProcessingPage from './components/ProcessingPage';
 import RecordingSessionPage from './components/RecordingSessionPage';
+import PreviewFileBar from './components/PreviewFileBar';
+import CompareView from './components/CompareView';
+import { migrateInstructionDocument, withSchemaVersion } from './utils/instructionSchema';
+import { classifyFile, readJsonFile, downloadJson } from './utils/fileIO';
 import './index.css';
 
 // Wrapper for recording page to extract sessionId from URL
@@ -11,6 +15,12 @@ function RecordingPageWrapper() {
   return <RecordingSessionPage sessionId={sessionId} />;
 }
 
+// Wrapper for compare page; ?session=<id> compares a saved session with its local draft
+function ComparePageWrapper() {
+  const [searchParams] = useSearchParams();
+  return <CompareView initialSessionId={searchParams.get('session')} />;
+}
+
 // Navigation header component
 function Navigation({ currentPath }) {
   const navigate = useNavigate();
@@ -56,6 +66,20 @@ function Navigation({ currentPath }) {
       >
         Effect Preview
       </button>
+      <button
+        onClick={() => navigate('/compare')}
+        style={{
+          padding: '0.5rem 1rem',
+          backgroundColor: currentPath === '/compare' ? '#3b82f6' : 'transparent',
+          color: 'white',
+          border: '1px solid white',
+          borderRadius: '4px',
+          cursor: 'pointer',
+          fontWeight: currentPath === '/compare' ? '600' : '400'
+        }}
+      >
+        Compare
+      </button>
     </div>
   );
 }
@@ -117,15 +141,27 @@ function HomePage() {
 }
 
 // Preview page with instructions
+// Starts from the bundled /instructions.json, /video.webm and /audio.webm; any local
+// video, audio or instruction file can be opened or dropped in its place.
 function PreviewPage() {
   const [instructions, setInstructions] = useState(null);
+  const [editedDocument, setEditedDocument] = useState(null);
+  const [sources, setSources] = useState({
+    video: { name: 'video.webm', url: '/video.webm' },
+    audio: { name: 'audio.webm', url: '/audio.webm' },
+    instructions: { name: 'instructions.json' }
+  });
   const [loading, setLoading] = useState(true);
+  const [fileError, setFileError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const objectUrlsRef = useRef({});
 
   useEffect(() => {
     fetch('/instructions.json')
       .then(res => res.json())
       .then(data => {
-        setInstructions(data);
+        // Older instruction files are upgraded to the current schema before replay
+        setInstructions(migrateInstructionDocument(data).document);
         setLoading(false);
       })
       .catch(err => {
@@ -134,6 +170,69 @@ function PreviewPage() {
       });
   }, []);
 
+  // Release the object URLs of opened files when leaving the page
+  useEffect(() => {
+    const objectUrls = objectUrlsRef.current;
+    return () => Object.values(objectUrls).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const openFile = async (slot, file) => {
+    setFileError(null);
+
+    if (slot === 'instructions') {
+      try {
+        const { document, fromVersion, migrated } = migrateInstructionDocument(await readJsonFile(file));
+        if (migrated) console.log(`[Preview] Upgraded ${file.name} from schema v${fromVersion}`);
+        setInstructions(document);
+        setSources(prev => ({ ...prev, instructions: { name: file.name } }));
+      } catch (err) {
+        console.error('[Preview] Failed to open instructions:', err);
+        setFileError(err.message);
+      }
+      return;
+    }
+
+    if (objectUrlsRef.current[slot]) URL.revokeObjectURL(objectUrlsRef.current[slot]);
+    const url = URL.createObjectURL(file);
+    objectUrlsRef.current[slot] = url;
+    setSources(prev => ({ ...prev, [slot]: { name: file.name, url } }));
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragging(false);
+
+    // Copy the list: the DataTransfer is emptied once the event handler returns
+    const files = [...e.dataTransfer.files];
+    const unsupported = [];
+    for (const file of files) {
+      const slot = await classifyFile(file);
+      if (slot) {
+        openFile(slot, file);
+      } else {
+        unsupported.push(file.name);
+      }
+    }
+
+    if (unsupported.length) {
+      setFileError(`Unsupported file: ${unsupported.join(', ')}`);
+    }
+  };
+
+  const handleSave = () => {
+    if (!editedDocument) return;
+    downloadJson(withSchemaVersion(editedDocument), sources.instructions.name);
+  };
+
   if (loading) {
     return (
       <div className="app-header">
@@ -142,29 +241,43 @@ function PreviewPage() {
     );
   }
 
-  if (!instructions) {
-    return (
-      <div className="app-header">
-        <h1>Error loading instructions</h1>
-        <p>Please check the console for details</p>
-      </div>
-    );
-  }
-
   return (
-    <div>
+    <div
+      className={`preview-page${dragging ? ' dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <div className="app-header">
         <h1>CSS-Based Video Effect Preview</h1>
         <p>Timeline-synchronized zoom effects with audio</p>
       </div>
 
-      <VideoEffectPreview
-        videoSrc="/video.webm"
-        audioSrc="/audio.webm"
-        instructions={instructions}
-        frameWidth={1280}
-        frameHeight={720}
+      <PreviewFileBar
+        names={{
+          video: sources.video.name,
+          audio: sources.audio.name,
+          instructions: instructions ? sources.instructions.name : 'none'
+        }}
+        onOpen={openFile}
+        onSave={handleSave}
+        canSave={Boolean(editedDocument)}
+        error={fileError}
       />
+
+      {instructions ? (
+        <VideoEffectPreview
+          videoSrc={sources.video.url}
+          audioSrc={sources.audio.url}
+          instructions={instructions}
+          onDocumentChange={setEditedDocument}
+        />
+      ) : (
+        <div className="app-header">
+          <h1>No instructions loaded</h1>
+          <p>Open or drop an instruction JSON file to start</p>
+        </div>
+      )}
     </div>
   );
 }
@@ -184,6 +297,7 @@ function AppRouter() {
         <Route path="/" element={<HomePage />} />
         <Route path="/processing" element={<ProcessingPage />} />
         <Route path="/preview" element={<PreviewPage />} />
+        <Route path="/compare" element={<ComparePageWrapper />} />
         <Route path="/recording/:sessionId" element={<RecordingPageWrapper />} />
       </Routes>
     </div>
@@ -0,0 +1,255 @@
+import { useEffect, useEffectEvent, useMemo, useState } from 'react';
+import { buildGuideSteps } from '../utils/articleGuide';
+import { captureFrame, captureFrames } from '../services/frameCapture';
+import { packageGuideHtml, packageGuideMarkdown, printGuideHtml, slugify } from '../utils/guideExport';
+import { downloadFile } from '../utils/fileIO';
+
+const exportButtonStyle = {
+    padding: '0.375rem 0.75rem',
+    backgroundColor: '#3b3b50',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    fontWeight: '500'
+};
+
+/**
+ * ArticleView Component
+ * The session as a written step-by-step guide: one numbered step per recorded action, with a
+ * screenshot from the video at the action's time (cropped around its bounds), a title and the
+ * narration spoken at that moment. Titles and text are edited inline, and the guide can be
+ * exported as Markdown (zip), a self-contained HTML file, or printed to PDF.
+ */
+export default function ArticleView({ sessionId, title, sessionDocument, videoUrl, onStepChange }) {
+    const steps = useMemo(() => buildGuideSteps(sessionDocument), [sessionDocument]);
+
+    // Screenshots only depend on when and where each step happens, not on its text
+    const captureKey = steps.map(step => `${step.t}:${JSON.stringify(step.bounds)}`).join('|');
+    const [shots, setShots] = useState({ key: null, urls: [], error: null });
+
+    const getCaptureRequests = useEffectEvent(() => steps.map(step => ({ time: step.t, bounds: step.bounds })));
+
+    useEffect(() => {
+        if (!videoUrl || !captureKey) return;
+
+        let cancelled = false;
+        let urls = [];
+
+        captureFrames(videoUrl, getCaptureRequests())
+            .then(blobs => {
+                if (cancelled) return;
+                urls = blobs.map(blob => URL.createObjectURL(blob));
+                setShots({ key: captureKey, urls, error: null });
+            })
+            .catch(err => {
+                console.error('[Article] Screenshot capture failed:', err);
+                if (!cancelled) setShots({ key: captureKey, urls: [], error: err.message });
+            });
+
+        return () => {
+            cancelled = true;
+            urls.forEach(url => URL.revokeObjectURL(url));
+        };
+    }, [videoUrl, captureKey]);
+
+    const shotsReady = shots.key === captureKey;
+
+    const [exporting, setExporting] = useState(null);
+    const [exportError, setExportError] = useState(null);
+
+    const handleExport = async (format) => {
+        setExporting(format);
+        setExportError(null);
+
+        try {
+            // Same requests as the on-screen screenshots, so these come from the capture cache;
+            // a step whose frame cannot be grabbed is exported without one
+            const images = videoUrl
+                ? await Promise.all(steps.map(step => (
+                    captureFrame(videoUrl, step.t, { bounds: step.bounds }).catch(() => null)
+                )))
+                : steps.map(() => null);
+            const meta = { sessionId, title };
+            // The fallback title already names the session
+            const slug = slugify(title);
+            const filename = slug.includes(slugify(sessionId)) ? slug : `${slug}-${sessionId}`;
+
+            if (format === 'markdown') {
+                downloadFile(await packageGuideMarkdown(steps, images, meta), `${filename}.zip`);
+            } else if (format === 'html') {
+                downloadFile(await packageGuideHtml(steps, images, meta), `${filename}.html`, 'text/html');
+            } else {
+                printGuideHtml(await packageGuideHtml(steps, images, meta));
+            }
+        } catch (err) {
+            console.error('[Article] Guide export failed:', err);
+            setExportError(err.message);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    if (!sessionDocument) {
+        return <div style={{ textAlign: 'center', color: '#666', padding: '3rem' }}>Loading session...</div>;
+    }
+
+    if (steps.length === 0) {
+        return (
+            <div style={{ textAlign: 'center', color: '#666', padding: '3rem' }}>
+                No recorded actions in this session to turn into steps.
+            </div>
+        );
+    }
+
+    const inputStyle = {
+        width: '100%',
+        backgroundColor: 'transparent',
+        color: '#e5e5e5',
+        border: '1px solid transparent',
+        borderRadius: '6px',
+        padding: '0.25rem 0.5rem',
+        fontFamily: 'inherit'
+    };
+
+    return (
+        <div style={{ flex: 1, overflowY: 'auto', padding: '2rem' }}>
+            <div style={{ maxWidth: '760px', margin: '0 auto' }}>
+                <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                    marginBottom: '1.5rem',
+                    color: '#999',
+                    fontSize: '0.8rem'
+                }}>
+                    <span style={{ marginRight: 'auto' }}>{steps.length} steps</span>
+                    {[['markdown', '⬇ Markdown (.zip)'], ['html', '⬇ HTML'], ['print', '🖨 Print / PDF']].map(([format, label]) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={Boolean(exporting)}
+                            style={{ ...exportButtonStyle, opacity: exporting && exporting !== format ? 0.5 : 1 }}
+                        >
+                            {exporting === format ? 'Exporting...' : label}
+                        </button>
+                    ))}
+                </div>
+
+                {exportError && (
+                    <div style={{
+                        padding: '0.75rem',
+                        backgroundColor: '#ef4444',
+                        color: '#fff',
+                        borderRadius: '6px',
+                        marginBottom: '1rem',
+                        fontSize: '0.875rem'
+                    }}>
+                        Export failed: {exportError}
+                    </div>
+                )}
+
+                {shots.error && shotsReady && (
+                    <div style={{
+                        padding: '0.75rem',
+                        backgroundColor: '#ef4444',
+                        color: '#fff',
+                        borderRadius: '6px',
+                        marginBottom: '1rem',
+                        fontSize: '0.875rem'
+                    }}>
+                        Screenshots unavailable: {shots.error}
+                    </div>
+                )}
+
+                {steps.map((step, idx) => (
+                    <div key={step.instructionIndex} style={{
+                        display: 'flex',
+                        gap: '1rem',
+                        marginBottom: '2rem',
+                        paddingBottom: '2rem',
+                        borderBottom: '1px solid #2a2a3e'
+                    }}>
+                        <div style={{
+                            flexShrink: 0,
+                            width: '32px',
+                            height: '32px',
+                            borderRadius: '50%',
+                            backgroundColor: '#6366f1',
+                            color: '#fff',
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            fontWeight: '600'
+                        }}>
+                            {step.number}
+                        </div>
+
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <input
+                                    value={step.title}
+                                    onChange={(e) => onStepChange(step.instructionIndex, { title: e.target.value })}
+                                    style={{ ...inputStyle, fontSize: '1.1rem', fontWeight: '600', color: '#fff' }}
+                                />
+                                <span style={{ color: '#666', fontSize: '0.75rem', fontFamily: 'monospace' }}>
+                                    {step.t.toFixed(1)}s
+                                </span>
+                                {step.edited && (
+                                    <button
+                                        onClick={() => onStepChange(step.instructionIndex, null)}
+                                        title="Go back to the generated title and text"
+                                        style={{
+                                            padding: '0.25rem 0.5rem',
+                                            backgroundColor: '#3b3b50',
+                                            color: '#fff',
+                                            border: 'none',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer',
+                                            fontSize: '0.7rem'
+                                        }}
+                                    >
+                                        ↺ Reset
+                                    </button>
+                                )}
+                            </div>
+
+                            <textarea
+                                value={step.text}
+                                placeholder="Describe this step..."
+                                onChange={(e) => onStepChange(step.instructionIndex, { text: e.target.value })}
+                                rows={Math.max(2, Math.ceil(step.text.length / 80))}
+                                style={{ ...inputStyle, fontSize: '0.95rem', lineHeight: '1.6', resize: 'vertical', marginTop: '0.25rem' }}
+                            />
+
+                            <div style={{
+                                marginTop: '0.75rem',
+                                borderRadius: '8px',
+                                overflow: 'hidden',
+                                border: '1px solid #3b3b50',
+                                backgroundColor: '#000',
+                                minHeight: '120px',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center'
+                            }}>
+                                {shotsReady && shots.urls[idx] ? (
+                                    <img
+                                        src={shots.urls[idx]}
+                                        alt={step.title}
+                                        style={{ display: 'block', maxWidth: '100%' }}
+                                    />
+                                ) : (
+                                    <span style={{ color: '#666', fontSize: '0.8rem' }}>
+                                        {shotsReady ? 'No screenshot' : '📸 Capturing screenshot...'}
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import {
+    getContainedVideoRect,
+    recordingToDisplayRect,
+    displayToRecordingPoint,
+    clampBoundsToFrame
+} from '../utils/effectProcessor';
+
+const HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+/** Boxes smaller than this (recording pixels) are treated as an accidental click */
+const MIN_BOX_SIZE = 4;
+
+/**
+ * Apply a drag gesture to the bounds it started from
+ * All values are in recording-space pixels
+ * @param {Object} gesture - { mode, origin, startPoint }
+ * @param {Object} point - Current pointer position in recording space
+ * @returns {Object} Unclamped bounds {x, y, width, height}
+ */
+function applyGesture(gesture, point) {
+    const { mode, origin, startPoint } = gesture;
+
+    if (mode === 'draw') {
+        return {
+            x: Math.min(startPoint.x, point.x),
+            y: Math.min(startPoint.y, point.y),
+            width: Math.abs(point.x - startPoint.x),
+            height: Math.abs(point.y - startPoint.y)
+        };
+    }
+
+    const dx = point.x - startPoint.x;
+    const dy = point.y - startPoint.y;
+
+    if (mode === 'move') {
+        return { ...origin, x: origin.x + dx, y: origin.y + dy };
+    }
+
+    // Corner resize: move the dragged corner, keep the opposite one fixed
+    let left = origin.x;
+    let top = origin.y;
+    let right = origin.x + origin.width;
+    let bottom = origin.y + origin.height;
+
+    if (mode.includes('w')) left += dx;
+    if (mode.includes('e')) right += dx;
+    if (mode.includes('n')) top += dy;
+    if (mode.includes('s')) bottom += dy;
+
+    return {
+        x: Math.min(left, right),
+        y: Math.min(top, bottom),
+        width: Math.abs(right - left),
+        height: Math.abs(bottom - top)
+    };
+}
+
+/**
+ * BoundingBoxEditor Component
+ * Overlay on top of the video element for drawing, moving and resizing a zoom target.
+ * Works in recording-space pixels (top-left origin), the same space normalizeCoordinates
+ * and generateZoomInstruction use; the overlay only converts to CSS pixels for display.
+ */
+export default function BoundingBoxEditor({
+    bounds,
+    recordingDimensions,
+    box,
+    onChange
+}) {
+    const [gesture, setGesture] = useState(null);
+
+    if (!recordingDimensions || !box.width || !box.height) return null;
+
+    const { recordingWidth, recordingHeight } = recordingDimensions;
+    const contentRect = getContainedVideoRect(box.width, box.height, recordingWidth, recordingHeight);
+
+    const toRecordingPoint = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return displayToRecordingPoint(
+            e.clientX - rect.left,
+            e.clientY - rect.top,
+            contentRect,
+            recordingWidth,
+            recordingHeight
+        );
+    };
+
+    const startGesture = (e, mode) => {
+        e.stopPropagation();
+        e.preventDefault();
+
+        // Capture on the overlay so moves keep flowing when the pointer leaves the box
+        const overlay = e.currentTarget.closest('.bbox-editor');
+        overlay.setPointerCapture(e.pointerId);
+
+        const rect = overlay.getBoundingClientRect();
+        const startPoint = displayToRecordingPoint(
+            e.clientX - rect.left,
+            e.clientY - rect.top,
+            contentRect,
+            recordingWidth,
+            recordingHeight
+        );
+
+        // A fresh draw has no result until the pointer moves
+        setGesture({ mode, origin: bounds, startPoint, current: mode === 'draw' ? null : bounds });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!gesture) return;
+
+        const next = applyGesture(gesture, toRecordingPoint(e));
+        setGesture({ ...gesture, current: clampBoundsToFrame(next, recordingWidth, recordingHeight) });
+    };
+
+    const handlePointerUp = () => {
+        if (!gesture) return;
+
+        const result = gesture.current;
+        setGesture(null);
+
+        if (result && result.width >= MIN_BOX_SIZE && result.height >= MIN_BOX_SIZE) {
+            console.log('[BBOX] Bounds (recording space):', result);
+            onChange(result);
+        }
+    };
+
+    const shown = gesture ? gesture.current : bounds;
+    const displayRect = shown
+        ? recordingToDisplayRect(shown, contentRect, recordingWidth, recordingHeight)
+        : null;
+
+    return (
+        <div
+            className="bbox-editor"
+            style={{
+                left: `${box.left}px`,
+                top: `${box.top}px`,
+                width: `${box.width}px`,
+                height: `${box.height}px`
+            }}
+            onPointerDown={(e) => startGesture(e, 'draw')}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+        >
+            {displayRect && (
+                <div
+                    className="bbox-rect"
+                    style={{
+                        left: `${displayRect.x}px`,
+                        top: `${displayRect.y}px`,
+                        width: `${displayRect.width}px`,
+                        height: `${displayRect.height}px`
+                    }}
+                    onPointerDown={(e) => startGesture(e, 'move')}
+                >
+                    {HANDLES.map(handle => (
+                        <span
+                            key={handle}
+                            className={`bbox-handle ${handle}`}
+                            onPointerDown={(e) => startGesture(e, handle)}
+                        />
+                    ))}
+                    <span className="bbox-label">
+                        {shown.x}, {shown.y} · {shown.width}×{shown.height}
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,72 @@
+import { useMemo, useState } from 'react';
+import { CAPTION_SOURCES, buildCaptionCues, formatSrt, formatVtt } from '../utils/captions';
+import { downloadFile } from '../utils/fileIO';
+
+const FORMATS = {
+    srt: { format: formatSrt, type: 'application/x-subrip' },
+    vtt: { format: formatVtt, type: 'text/vtt' }
+};
+
+const buttonStyle = {
+    padding: '0.25rem 0.75rem',
+    backgroundColor: '#3b3b50',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '0.75rem',
+    fontWeight: '500'
+};
+
+/**
+ * CaptionExportBar Component
+ * Downloads the session's captions as SRT or WebVTT, built from the narrations or,
+ * when the session has one, the original transcript.
+ */
+export default function CaptionExportBar({ sessionId, sessionDocument, words = [] }) {
+    const [source, setSource] = useState('narrations');
+    const activeSource = words.length > 0 ? source : 'narrations';
+
+    // The page re-renders every frame during playback; only rebuild when the inputs change
+    const cues = useMemo(
+        () => buildCaptionCues(sessionDocument, activeSource, words),
+        [sessionDocument, activeSource, words]
+    );
+
+    const handleDownload = (key) => {
+        const { format, type } = FORMATS[key];
+        downloadFile(format(cues), `captions-${sessionId}-${activeSource}.${key}`, type);
+    };
+
+    return (
+        <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            color: '#999',
+            fontSize: '0.75rem'
+        }}>
+            <span>Captions</span>
+            <select
+                value={activeSource}
+                onChange={(e) => setSource(e.target.value)}
+                disabled={words.length === 0}
+                style={{
+                    padding: '0.25rem',
+                    backgroundColor: '#1e1e2e',
+                    color: '#e5e5e5',
+                    border: '1px solid #3b3b50',
+                    borderRadius: '4px',
+                    fontSize: '0.75rem'
+                }}
+            >
+                {CAPTION_SOURCES.map(key => (
+                    <option key={key} value={key}>from {key}</option>
+                ))}
+            </select>
+            <span>{cues.length} cues</span>
+            <button onClick={() => handleDownload('srt')} disabled={cues.length === 0} style={buttonStyle}>⬇ SRT</button>
+            <button onClick={() => handleDownload('vtt')} disabled={cues.length === 0} style={buttonStyle}>⬇ VTT</button>
+        </div>
+    );
+}
@@ -0,0 +1,81 @@
+import { useRef } from 'react';
+import { getContainedVideoRect } from '../utils/effectProcessor';
+import { CAPTION_PRESETS, findActiveCue } from '../utils/captions';
+import { useElementBox } from '../hooks/useElementBox';
+
+/**
+ * Hex color plus opacity as a CSS rgba() color
+ * @param {string} hex - #RRGGBB
+ * @param {number} opacity - 0-1
+ * @returns {string}
+ */
+function toRgba(hex, opacity) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
+
+/**
+ * CaptionOverlay Component
+ * Burned-in caption preview: the cue at the current time, styled from a CAPTION_PRESETS fact
+ * set and sized against the visible video content (not the letterboxed box).
+ * Rendered as a sibling of the video layer, outside its zoom transform, so captions stay put and
+ * readable while the picture is zoomed — as they will in the rendered video.
+ */
+export default function CaptionOverlay({
+    cues,
+    currentTime,
+    preset,
+    recordingDimensions,
+    style
+}) {
+    const overlayRef = useRef(null);
+    const box = useElementBox(overlayRef);
+
+    const facts = CAPTION_PRESETS[preset];
+    const cue = facts ? findActiveCue(cues, currentTime) : null;
+
+    let content = null;
+    if (cue && box.width && box.height) {
+        const contentRect = getContainedVideoRect(
+            box.width,
+            box.height,
+            recordingDimensions?.recordingWidth,
+            recordingDimensions?.recordingHeight
+        );
+        const margin = (facts.marginPercent / 100) * contentRect.height;
+
+        content = (
+            <div
+                className="caption-cue"
+                style={{
+                    left: `${contentRect.x}px`,
+                    width: `${contentRect.width}px`,
+                    ...(facts.position === 'top'
+                        ? { top: `${contentRect.y + margin}px` }
+                        : { bottom: `${box.height - contentRect.y - contentRect.height + margin}px` })
+                }}
+            >
+                <span
+                    className={`caption-text${facts.box ? '' : ' outlined'}`}
+                    style={{
+                        fontFamily: `${facts.fontFamily}, system-ui, sans-serif`,
+                        fontWeight: facts.fontWeight,
+                        fontSize: `${((facts.fontSizePercent / 100) * contentRect.height).toFixed(1)}px`,
+                        color: facts.textColor,
+                        backgroundColor: facts.box ? toRgba(facts.box.color, facts.box.opacity) : 'transparent'
+                    }}
+                >
+                    {cue.lines.map((line, idx) => (
+                        <span key={idx} className="caption-line">{line}</span>
+                    ))}
+                </span>
+            </div>
+        );
+    }
+
+    return (
+        <div ref={overlayRef} className="caption-overlay" style={style}>
+            {content}
+        </div>
+    );
+}
@@ -0,0 +1,291 @@
+import { useState, useEffect, useEffectEvent, useMemo } from 'react';
+import { getCompleteRecording, getDisplayEffects } from '../services/backend-api';
+import { loadDraft } from '../services/draftStore';
+import { migrateInstructionDocument, withSchemaVersion } from '../utils/instructionSchema';
+import { diffDocuments, mergeDocuments, DIFF_COLLECTIONS } from '../utils/instructionDiff';
+import { describeItem } from '../utils/documentChanges';
+import { readJsonFile, downloadJson } from '../utils/fileIO';
+
+/** Where a compared document can come from */
+const SOURCE_KINDS = [
+    { key: 'file', label: 'Local file' },
+    { key: 'draft', label: 'Draft (session ID)' },
+    { key: 'session', label: 'Saved session (session ID)' },
+    { key: 'effects', label: 'Recording effects (recording ID)' }
+];
+
+const COLLECTION_TITLES = {
+    displayEffects: 'Effects',
+    narrations: 'Narrations'
+};
+
+/**
+ * Load an instruction document from one of the SOURCE_KINDS
+ * @param {string} kind - Source kind key
+ * @param {string|File} value - Session/recording ID, or the picked file
+ * @returns {Promise<Object>} { label, document } with the document at the current schema
+ */
+async function loadSource(kind, value) {
+    switch (kind) {
+        case 'file':
+            return { label: value.name, document: migrateInstructionDocument(await readJsonFile(value)).document };
+
+        case 'draft': {
+            const draft = await loadDraft(value);
+            if (!draft) throw new Error(`No draft saved for session ${value}`);
+            return { label: `Draft ${value}`, document: migrateInstructionDocument(draft.document).document };
+        }
+
+        case 'session':
+            return {
+                label: `Session ${value}`,
+                document: migrateInstructionDocument(await getCompleteRecording(value)).document
+            };
+
+        case 'effects': {
+            // The effects endpoint returns the bare displayEffects array
+            const response = await getDisplayEffects(value);
+            const document = Array.isArray(response) ? { displayEffects: response } : response;
+            return { label: `Recording ${value} effects`, document: migrateInstructionDocument(document).document };
+        }
+
+        default:
+            throw new Error(`Unknown source "${kind}"`);
+    }
+}
+
+/**
+ * Source selector for one side of the comparison
+ */
+function SourcePicker({ side, source, onLoad }) {
+    const [kind, setKind] = useState('file');
+    const [id, setId] = useState('');
+
+    return (
+        <div className="compare-source">
+            <div className="compare-source-title">{side === 'left' ? 'Left' : 'Right'}</div>
+            <select value={kind} onChange={(e) => setKind(e.target.value)}>
+                {SOURCE_KINDS.map(({ key, label }) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+            {kind === 'file' ? (
+                <input
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={(e) => e.target.files[0] && onLoad(kind, e.target.files[0])}
+                />
+            ) : (
+                <>
+                    <input
+                        type="text"
+                        placeholder="ID"
+                        value={id}
+                        onChange={(e) => setId(e.target.value)}
+                    />
+                    <button onClick={() => onLoad(kind, id.trim())} disabled={!id.trim()}>Load</button>
+                </>
+            )}
+            <div className="compare-source-status">
+                {source.loading && 'Loading...'}
+                {source.error && <span className="compare-error">{source.error}</span>}
+                {source.label && !source.loading && !source.error && source.label}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * CompareView Component
+ * Side-by-side diff of two instruction documents on a shared timeline, with
+ * per-item "accept left / accept right" choices and saving of the merged result.
+ * Opened with ?session=<id>, it compares the saved session (left) with its local draft (right).
+ */
+export default function CompareView({ initialSessionId = null }) {
+    const [sources, setSources] = useState({ left: {}, right: {} });
+    const [choices, setChoices] = useState({});
+    const [selectedId, setSelectedId] = useState(null);
+    const [showUnchanged, setShowUnchanged] = useState(false);
+
+    const handleLoad = async (side, kind, value) => {
+        setSources(prev => ({ ...prev, [side]: { loading: true } }));
+
+        try {
+            const loaded = await loadSource(kind, value);
+            setSources(prev => ({ ...prev, [side]: loaded }));
+            // Entry ids change with the documents, so earlier choices no longer apply
+            setChoices({});
+            setSelectedId(null);
+        } catch (err) {
+            console.error('[Compare] Failed to load', side, err);
+            setSources(prev => ({ ...prev, [side]: { error: err.message } }));
+        }
+    };
+
+    const loadFromSession = useEffectEvent((sessionId) => {
+        handleLoad('left', 'session', sessionId);
+        handleLoad('right', 'draft', sessionId);
+    });
+
+    useEffect(() => {
+        if (initialSessionId) loadFromSession(initialSessionId);
+    }, [initialSessionId]);
+
+    const left = sources.left.document;
+    const right = sources.right.document;
+
+    const diff = useMemo(() => (left && right ? diffDocuments(left, right) : null), [left, right]);
+
+    // Shared time scale for both sides
+    const duration = useMemo(() => {
+        if (!diff) return 0;
+        const ends = DIFF_COLLECTIONS.flatMap(collection => diff[collection].map(entry => (
+            Math.max(entry.left?.end ?? 0, entry.right?.end ?? 0)
+        )));
+        return Math.max(1, ...ends);
+    }, [diff]);
+
+    const toPercent = (time) => `${(time / duration) * 100}%`;
+
+    const accept = (entryId, side) => {
+        setChoices(prev => ({ ...prev, [entryId]: side }));
+    };
+
+    const handleSaveMerged = () => {
+        downloadJson(withSchemaVersion(mergeDocuments(left, diff, choices)), 'instructions.merged.json');
+    };
+
+    const renderLane = (entries, side) => (
+        <div className="compare-lane">
+            <span className="compare-lane-label">{side === 'left' ? 'L' : 'R'}</span>
+            {entries.map(entry => {
+                const item = entry[side];
+                if (!item) return null;
+
+                return (
+                    <div
+                        key={entry.id}
+                        className={`compare-block ${entry.status}${entry.id === selectedId ? ' selected' : ''}`}
+                        style={{ left: toPercent(item.start), width: toPercent(item.end - item.start) }}
+                        title={describeItem(entry.collection, item)}
+                        onClick={() => setSelectedId(entry.id)}
+                    />
+                );
+            })}
+        </div>
+    );
+
+    const renderCell = (entry, side) => {
+        const item = entry[side];
+        if (!item) return <td className="compare-cell empty">—</td>;
+
+        return (
+            <td className="compare-cell">
+                <div>{describeItem(entry.collection, item)}</div>
+                {entry.fields.length > 0 && (
+                    <div className="compare-fields">
+                        {entry.fields.map(field => (
+                            <code key={field} title={JSON.stringify(item[field])}>{field}</code>
+                        ))}
+                    </div>
+                )}
+            </td>
+        );
+    };
+
+    return (
+        <div className="compare-view">
+            <div className="app-header">
+                <h1>Compare Instructions</h1>
+                <p>Effects are matched by selector and time, narrations by time</p>
+            </div>
+
+            <div className="compare-sources">
+                <SourcePicker side="left" source={sources.left} onLoad={(kind, value) => handleLoad('left', kind, value)} />
+                <SourcePicker side="right" source={sources.right} onLoad={(kind, value) => handleLoad('right', kind, value)} />
+            </div>
+
+            {diff && (
+                <>
+                    <div className="compare-toolbar">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={showUnchanged}
+                                onChange={(e) => setShowUnchanged(e.target.checked)}
+                            />
+                            Show unchanged
+                        </label>
+                        <button onClick={handleSaveMerged}>💾 Save Merged</button>
+                    </div>
+
+                    {DIFF_COLLECTIONS.map(collection => {
+                        const entries = diff[collection];
+                        const rows = showUnchanged ? entries : entries.filter(entry => entry.status !== 'unchanged');
+
+                        return (
+                            <section key={collection} className="compare-section">
+                                <h2>
+                                    {COLLECTION_TITLES[collection]}
+                                    <span className="compare-counts">
+                                        {['added', 'removed', 'changed'].map(status => (
+                                            <span key={status} className={`compare-count ${status}`}>
+                                                {entries.filter(entry => entry.status === status).length} {status}
+                                            </span>
+                                        ))}
+                                    </span>
+                                </h2>
+
+                                {/* Shared timeline: left lane over right lane */}
+                                <div className="compare-timeline">
+                                    {renderLane(entries, 'left')}
+                                    {renderLane(entries, 'right')}
+                                </div>
+
+                                {rows.length === 0 ? (
+                                    <p className="compare-empty">No differences</p>
+                                ) : (
+                                    <table className="compare-table">
+                                        <tbody>
+                                            {rows.map(entry => {
+                                                const choice = choices[entry.id] ?? 'left';
+                                                return (
+                                                    <tr
+                                                        key={entry.id}
+                                                        className={`compare-row ${entry.status}${entry.id === selectedId ? ' selected' : ''}`}
+                                                        onClick={() => setSelectedId(entry.id)}
+                                                    >
+                                                        {renderCell(entry, 'left')}
+                                                        <td className="compare-actions">
+                                                            {entry.status !== 'unchanged' && (
+                                                                <>
+                                                                    <button
+                                                                        className={choice === 'left' ? 'active' : ''}
+                                                                        onClick={() => accept(entry.id, 'left')}
+                                                                    >
+                                                                        ← Accept left
+                                                                    </button>
+                                                                    <button
+                                                                        className={choice === 'right' ? 'active' : ''}
+                                                                        onClick={() => accept(entry.id, 'right')}
+                                                                    >
+                                                                        Accept right →
+                                                                    </button>
+                                                                </>
+                                                            )}
+                                                        </td>
+                                                        {renderCell(entry, 'right')}
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </section>
+                        );
+                    })}
+                </>
+            )}
+        </div>
+    );
+}
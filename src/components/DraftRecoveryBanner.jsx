@@ -0,0 +1,90 @@
+import { Link } from 'react-router-dom';
+
+/**
+ * DraftRecoveryBanner Component
+ * Offers to restore or discard a locally saved session draft and lists how the draft
+ * differs from the recording saved on the backend (getCompleteRecording).
+ */
+export default function DraftRecoveryBanner({ sessionId, draft, changes, remote, remoteError, canRestore, onRestore, onDiscard }) {
+    const renderList = (prefix, color, items) => items.map((item, idx) => (
+        <li key={`${prefix}${idx}`} style={{ color }}>
+            {prefix} {item}
+        </li>
+    ));
+
+    return (
+        <div style={{
+            padding: '0.75rem 2rem',
+            backgroundColor: '#312e81',
+            borderBottom: '1px solid #4338ca',
+            color: '#e0e7ff',
+            fontSize: '0.875rem'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem' }}>
+                <span>
+                    💾 Unsaved draft from {new Date(draft.savedAt).toLocaleString()} found for this session.
+                </span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button
+                        onClick={onRestore}
+                        disabled={!canRestore}
+                        style={{
+                            padding: '0.4rem 0.9rem',
+                            backgroundColor: canRestore ? '#6366f1' : '#4a4a5e',
+                            color: '#fff',
+                            border: 'none',
+                            borderRadius: '6px',
+                            cursor: canRestore ? 'pointer' : 'not-allowed',
+                            fontSize: '0.8rem',
+                            fontWeight: '500'
+                        }}
+                    >
+                        Restore draft
+                    </button>
+                    <button
+                        onClick={onDiscard}
+                        style={{
+                            padding: '0.4rem 0.9rem',
+                            backgroundColor: 'transparent',
+                            color: '#c7d2fe',
+                            border: '1px solid #6366f1',
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            fontSize: '0.8rem'
+                        }}
+                    >
+                        Discard draft
+                    </button>
+                </div>
+            </div>
+
+            {/* Differences against the saved recording */}
+            <div style={{ marginTop: '0.5rem', color: '#a5b4fc', fontSize: '0.8rem' }}>
+                {remoteError && <span>Could not load the saved recording to compare ({remoteError}).</span>}
+                {!remoteError && !remote && <span>Comparing with the saved recording...</span>}
+                {remote && changes.length === 0 && <span>The draft matches the saved recording.</span>}
+                {remote && changes.length > 0 && (
+                    <Link to={`/compare?session=${sessionId}`} style={{ color: '#c7d2fe', marginRight: '0.75rem' }}>
+                        Compare in detail
+                    </Link>
+                )}
+                {changes.map(change => (
+                    <details key={change.collection} style={{ marginTop: '0.25rem' }}>
+                        <summary style={{ cursor: 'pointer' }}>
+                            {change.label}: {[
+                                change.added.length && `${change.added.length} added`,
+                                change.removed.length && `${change.removed.length} removed`,
+                                change.changed.length && `${change.changed.length} changed`
+                            ].filter(Boolean).join(', ')}
+                        </summary>
+                        <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+                            {renderList('+', '#86efac', change.added)}
+                            {renderList('−', '#fca5a5', change.removed)}
+                            {renderList('~', '#fde68a', change.changed)}
+                        </ul>
+                    </details>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+import { useRef } from 'react';
+import { getContainedVideoRect, recordingToDisplayRect } from '../utils/effectProcessor';
+import { getPreviewOverlayLayers } from '../utils/effectRegistry';
+import { useElementBox } from '../hooks/useElementBox';
+
+/**
+ * EffectOverlay Component
+ * Renders the overlay preview of every registered effect type (dim, outline, blur, callout, ...)
+ * on top of the video. Shares the video layer's CSS transform (applied by the parent's RAF loop
+ * through layerRef) so the overlay stays glued to the zoomed picture.
+ */
+export default function EffectOverlay({
+    effects,
+    currentTime,
+    recordingDimensions,
+    layerRef,
+    style
+}) {
+    const overlayRef = useRef(null);
+    const box = useElementBox(overlayRef);
+
+    let layers = [];
+
+    if (recordingDimensions && box.width && box.height) {
+        const { recordingWidth, recordingHeight } = recordingDimensions;
+        const contentRect = getContainedVideoRect(box.width, box.height, recordingWidth, recordingHeight);
+
+        layers = getPreviewOverlayLayers(
+            effects,
+            currentTime,
+            bounds => recordingToDisplayRect(bounds, contentRect, recordingWidth, recordingHeight),
+            contentRect.width / recordingWidth
+        );
+    }
+
+    return (
+        <div
+            ref={(el) => {
+                overlayRef.current = el;
+                if (layerRef) layerRef.current = el;
+            }}
+            className="effect-overlay-layer"
+            style={style}
+        >
+            {layers.map(layer => (
+                <div
+                    key={layer.key}
+                    className={layer.className}
+                    style={{
+                        left: `${layer.rect.x}px`,
+                        top: `${layer.rect.y}px`,
+                        width: `${layer.rect.width}px`,
+                        height: `${layer.rect.height}px`,
+                        ...layer.style
+                    }}
+                />
+            ))}
+        </div>
+    );
+}
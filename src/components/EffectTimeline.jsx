@@ -0,0 +1,103 @@
+import { useRef, useState } from 'react';
+import { moveWindow, resizeWindow } from '../utils/timelineEditing';
+
+/**
+ * EffectTimeline Component
+ * Editable lane of displayEffects: drag a block to move it, drag its edges to trim it,
+ * double-click the lane to add a new effect at the playhead
+ */
+export default function EffectTimeline({
+    effects,
+    duration,
+    currentTime,
+    selectedIndex,
+    onSelect,
+    onChange,
+    onCreate
+}) {
+    const laneRef = useRef(null);
+    const [drag, setDrag] = useState(null);
+
+    const toPercent = (time) => (duration ? (time / duration) * 100 : 0);
+
+    const handlePointerDown = (e, index, mode) => {
+        if (!duration || !laneRef.current) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+
+        onSelect(index);
+        setDrag({
+            index,
+            mode,
+            originX: e.clientX,
+            origin: effects[index],
+            laneWidth: laneRef.current.getBoundingClientRect().width
+        });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+
+        const deltaSeconds = ((e.clientX - drag.originX) / drag.laneWidth) * duration;
+        const { origin } = drag;
+
+        const updated = drag.mode === 'move'
+            ? moveWindow(origin, deltaSeconds, duration)
+            : resizeWindow(origin, drag.mode, origin[drag.mode] + deltaSeconds, duration);
+
+        onChange(drag.index, updated);
+    };
+
+    // Pointer capture is released implicitly on pointerup
+    const handlePointerUp = () => {
+        setDrag(null);
+    };
+
+    const handleDoubleClick = (e) => {
+        // Double-clicking an existing block should not spawn a new one under it
+        if (e.target !== laneRef.current) return;
+        onCreate(currentTime);
+    };
+
+    return (
+        <div className="effect-timeline">
+            <div
+                ref={laneRef}
+                className="effect-timeline-lane"
+                onDoubleClick={handleDoubleClick}
+                onPointerDown={() => onSelect(null)}
+                title="Double-click to add an effect at the playhead"
+            >
+                {effects.map((effect, idx) => (
+                    <div
+                        key={idx}
+                        className={`effect-block${idx === selectedIndex ? ' selected' : ''}`}
+                        style={{
+                            left: `${toPercent(effect.start)}%`,
+                            width: `${toPercent(effect.end - effect.start)}%`
+                        }}
+                        onPointerDown={(e) => handlePointerDown(e, idx, 'move')}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        title={`${effect.type || 'effect'}: ${effect.start.toFixed(2)}s - ${effect.end.toFixed(2)}s`}
+                    >
+                        <span
+                            className="effect-block-handle start"
+                            onPointerDown={(e) => handlePointerDown(e, idx, 'start')}
+                        />
+                        <span className="effect-block-label">{idx + 1}</span>
+                        <span
+                            className="effect-block-handle end"
+                            onPointerDown={(e) => handlePointerDown(e, idx, 'end')}
+                        />
+                    </div>
+                ))}
+
+                <div
+                    className="effect-timeline-playhead"
+                    style={{ left: `${toPercent(currentTime)}%` }}
+                />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,36 @@
+/**
+ * HistoryPanel Component
+ * Visible undo/redo list for a useEditHistory instance: the original document,
+ * then every edit in order. Undone edits are dimmed; clicking an entry jumps to it.
+ * Once the oldest edits are trimmed off, the first entry is the oldest state still reachable.
+ */
+export default function HistoryPanel({ history, style }) {
+    const { entries, position, canUndo, canRedo, dropped } = history;
+
+    return (
+        <div className="history-panel" style={style}>
+            <div className="history-panel-header">
+                <span>History</span>
+                <button onClick={history.undo} disabled={!canUndo} title="Undo (Ctrl+Z)">↶</button>
+                <button onClick={history.redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">↷</button>
+            </div>
+            <ol className="history-panel-list">
+                <li
+                    className={`history-entry${position === 0 ? ' current' : ''}`}
+                    onClick={() => history.jumpTo(0)}
+                >
+                    {dropped > 0 ? `Before these edits (${dropped} older not kept)` : 'Original'}
+                </li>
+                {entries.map((label, idx) => (
+                    <li
+                        key={idx}
+                        className={`history-entry${idx + 1 === position ? ' current' : ''}${idx >= position ? ' undone' : ''}`}
+                        onClick={() => history.jumpTo(idx + 1)}
+                    >
+                        {label}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
@@ -0,0 +1,237 @@
+import { useEffect, useRef } from 'react';
+import { tokenizeWords } from '../utils/wordTiming';
+
+/** Rough characters per textarea row in the 480px script panel */
+const CHARS_PER_ROW = 55;
+
+/** Box shared by the textarea and the word highlight behind it, so both wrap identically */
+const TEXT_BOX_STYLE = {
+    fontSize: '0.9rem',
+    lineHeight: '1.6',
+    fontFamily: 'inherit',
+    padding: '0.25rem 0.5rem',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderRadius: '6px',
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+    boxSizing: 'border-box'
+};
+
+/**
+ * NarrationSegment Component
+ * One sync point of the Script panel: editable narration text, an "Edited" marker while the
+ * text differs from what was last synthesized, and per-segment speech regeneration.
+ * While its window plays it is highlighted, scrolled into view and marks the current word;
+ * clicking it seeks playback to its start. Its window can be cut from the video (and restored).
+ */
+export default function NarrationSegment({
+    index,
+    narration,
+    dirty,
+    regenerating,
+    canRegenerate,
+    overflow,
+    active = false,
+    activeWord = -1,
+    cut = false,
+    onTextChange,
+    onRegenerate,
+    onSeek,
+    onToggleCut
+}) {
+    const containerRef = useRef(null);
+
+    // Follow playback, unless the user is typing somewhere in the script
+    useEffect(() => {
+        if (!active || document.activeElement?.tagName === 'TEXTAREA') return;
+        containerRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [active]);
+
+    const handleClick = (e) => {
+        // Buttons act on their own; the textarea seeks when it gains focus
+        if (e.target.closest('button, textarea')) return;
+        onSeek?.();
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            onClick={handleClick}
+            style={{
+                position: 'relative',
+                cursor: 'pointer',
+                padding: '0.5rem',
+                margin: '0 -0.5rem 1rem',
+                borderRadius: '8px',
+                backgroundColor: active ? '#6366f11f' : 'transparent',
+                boxShadow: active ? 'inset 3px 0 0 #6366f1' : 'none',
+                opacity: cut ? 0.5 : 1,
+                transition: 'background-color 0.2s'
+            }}
+        >
+            {/* Section Number */}
+            <div style={{
+                position: 'absolute',
+                left: '-1.5rem',
+                top: '0.75rem',
+                color: '#666',
+                fontSize: '0.875rem',
+                fontWeight: '500'
+            }}>
+                {index + 1}
+            </div>
+
+            {/* Section Header */}
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                marginBottom: '0.5rem'
+            }}>
+                <span style={{
+                    color: '#999',
+                    fontSize: '0.75rem',
+                    fontWeight: '500',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em'
+                }}>Video</span>
+                <div style={{
+                    width: '24px',
+                    height: '24px',
+                    borderRadius: '50%',
+                    backgroundColor: '#6366f1',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '0.75rem'
+                }}>👤</div>
+                <span style={{
+                    padding: '0.25rem 0.5rem',
+                    backgroundColor: '#6366f1',
+                    color: '#fff',
+                    borderRadius: '4px',
+                    fontSize: '0.7rem',
+                    fontWeight: '500'
+                }}>
+                    Sync Point {index + 1}
+                </span>
+                <span style={{ color: '#999', fontSize: '0.75rem', fontFamily: 'monospace' }}>
+                    {narration.start.toFixed(1)}–{narration.end.toFixed(1)}s
+                </span>
+                {dirty && (
+                    <span style={{
+                        padding: '0.25rem 0.5rem',
+                        backgroundColor: '#f59e0b',
+                        color: '#1e1e2e',
+                        borderRadius: '4px',
+                        fontSize: '0.7rem',
+                        fontWeight: '600'
+                    }}>
+                        Edited
+                    </span>
+                )}
+                {cut && (
+                    <span style={{
+                        padding: '0.25rem 0.5rem',
+                        backgroundColor: '#ef4444',
+                        color: '#fff',
+                        borderRadius: '4px',
+                        fontSize: '0.7rem',
+                        fontWeight: '600'
+                    }}>
+                        Cut
+                    </span>
+                )}
+                <button
+                    onClick={onRegenerate}
+                    disabled={!dirty || regenerating || !canRegenerate}
+                    title={canRegenerate ? 'Re-synthesize this sync point only' : 'Generate speech for the session first'}
+                    style={{
+                        marginLeft: 'auto',
+                        padding: '0.25rem 0.6rem',
+                        backgroundColor: dirty && canRegenerate && !regenerating ? '#6366f1' : '#3b3b50',
+                        color: '#fff',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: dirty && canRegenerate && !regenerating ? 'pointer' : 'not-allowed',
+                        fontSize: '0.7rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {regenerating ? '⏳ Regenerating...' : '🔊 Regenerate'}
+                </button>
+                {onToggleCut && (
+                    <button
+                        onClick={onToggleCut}
+                        title={cut ? 'Put this sync point back into the video' : 'Remove this sync point from the video'}
+                        style={{
+                            padding: '0.25rem 0.6rem',
+                            backgroundColor: '#3b3b50',
+                            color: '#fff',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '0.7rem',
+                            fontWeight: '500'
+                        }}
+                    >
+                        {cut ? '↺ Restore' : '✂️ Cut'}
+                    </button>
+                )}
+            </div>
+
+            {/* Narration Text - the current word is highlighted on a copy of the text behind the transparent textarea */}
+            <div style={{ position: 'relative' }}>
+                {active && activeWord >= 0 && (
+                    <div
+                        aria-hidden="true"
+                        style={{
+                            ...TEXT_BOX_STYLE,
+                            position: 'absolute',
+                            inset: 0,
+                            color: 'transparent',
+                            borderColor: 'transparent',
+                            overflow: 'hidden',
+                            pointerEvents: 'none'
+                        }}
+                    >
+                        {tokenizeWords(narration.text).map((token, idx) => (
+                            <span
+                                key={idx}
+                                style={token.wordIndex === activeWord
+                                    ? { backgroundColor: '#6366f188', borderRadius: '3px' }
+                                    : undefined}
+                            >
+                                {token.text}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                <textarea
+                    value={narration.text}
+                    onChange={(e) => onTextChange(e.target.value)}
+                    onFocus={() => onSeek?.()}
+                    rows={Math.max(2, Math.ceil(narration.text.length / CHARS_PER_ROW))}
+                    style={{
+                        ...TEXT_BOX_STYLE,
+                        position: 'relative',
+                        display: 'block',
+                        width: '100%',
+                        color: '#e5e5e5',
+                        backgroundColor: 'transparent',
+                        margin: 0,
+                        borderColor: dirty ? '#f59e0b55' : 'transparent',
+                        resize: 'none'
+                    }}
+                />
+            </div>
+
+            {overflow > 0 && (
+                <div style={{ color: '#f59e0b', fontSize: '0.75rem', paddingLeft: '0.5rem' }}>
+                    New speech is {overflow.toFixed(1)}s longer than this sync point and was cut off
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,121 @@
+import { useRef, useState } from 'react';
+import { moveWindow, resizeWindow, snapWindow, findWindowIssues } from '../utils/timelineEditing';
+
+/**
+ * NarrationTimeline Component
+ * Editable lane of narration windows: drag a block to move it, drag its edges to trim it.
+ * Edges snap to nearby action timestamps (instructions[].t, shown as ticks);
+ * overlapping windows and long silent gaps between them are flagged.
+ */
+export default function NarrationTimeline({
+    narrations,
+    snapPoints = [],
+    duration,
+    currentTime,
+    onChange
+}) {
+    const laneRef = useRef(null);
+    const [drag, setDrag] = useState(null);
+
+    const toPercent = (time) => (duration ? (time / duration) * 100 : 0);
+
+    const issues = findWindowIssues(narrations);
+    const overlapping = new Set(issues.filter(issue => issue.type === 'overlap').flatMap(issue => [issue.index, issue.nextIndex]));
+
+    const handlePointerDown = (e, index, mode) => {
+        if (!duration || !laneRef.current) return;
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+
+        setDrag({
+            index,
+            mode,
+            originX: e.clientX,
+            origin: narrations[index],
+            laneWidth: laneRef.current.getBoundingClientRect().width
+        });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+
+        const deltaSeconds = ((e.clientX - drag.originX) / drag.laneWidth) * duration;
+        const { origin } = drag;
+
+        const moved = drag.mode === 'move'
+            ? moveWindow(origin, deltaSeconds, duration)
+            : resizeWindow(origin, drag.mode, origin[drag.mode] + deltaSeconds, duration);
+
+        // Alt disables snapping for fine adjustments
+        onChange(drag.index, e.altKey ? moved : snapWindow(moved, drag.mode, snapPoints, duration));
+    };
+
+    // Pointer capture is released implicitly on pointerup
+    const handlePointerUp = () => {
+        setDrag(null);
+    };
+
+    return (
+        <div className="narration-timeline">
+            <div ref={laneRef} className="narration-timeline-lane">
+                {snapPoints.map((time, idx) => (
+                    <span key={idx} className="narration-snap-tick" style={{ left: `${toPercent(time)}%` }} />
+                ))}
+
+                {issues.filter(issue => issue.type === 'gap').map(issue => (
+                    <span
+                        key={`gap-${issue.index}`}
+                        className="narration-gap"
+                        style={{
+                            left: `${toPercent(narrations[issue.index].end)}%`,
+                            width: `${toPercent(issue.amount)}%`
+                        }}
+                        title={`${issue.amount.toFixed(1)}s without narration`}
+                    />
+                ))}
+
+                {narrations.map((narration, idx) => (
+                    <div
+                        key={idx}
+                        className={`narration-block${overlapping.has(idx) ? ' overlap' : ''}${drag?.index === idx ? ' dragging' : ''}`}
+                        style={{
+                            left: `${toPercent(narration.start)}%`,
+                            width: `${toPercent(narration.end - narration.start)}%`
+                        }}
+                        onPointerDown={(e) => handlePointerDown(e, idx, 'move')}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        title={`Sync Point ${idx + 1}: ${narration.start.toFixed(2)}s - ${narration.end.toFixed(2)}s`}
+                    >
+                        <span
+                            className="narration-block-handle start"
+                            onPointerDown={(e) => handlePointerDown(e, idx, 'start')}
+                        />
+                        <span className="narration-block-label">{idx + 1}</span>
+                        <span
+                            className="narration-block-handle end"
+                            onPointerDown={(e) => handlePointerDown(e, idx, 'end')}
+                        />
+                    </div>
+                ))}
+
+                <div
+                    className="narration-timeline-playhead"
+                    style={{ left: `${toPercent(currentTime)}%` }}
+                />
+            </div>
+
+            {issues.length > 0 && (
+                <ul className="narration-issues">
+                    {issues.map(issue => (
+                        <li key={`${issue.type}-${issue.index}`} className={issue.type}>
+                            {issue.type === 'overlap'
+                                ? `Sync points ${issue.index + 1} and ${issue.nextIndex + 1} overlap by ${issue.amount.toFixed(2)}s`
+                                : `${issue.amount.toFixed(1)}s gap after sync point ${issue.index + 1}`}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
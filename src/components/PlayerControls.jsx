@@ -0,0 +1,150 @@
+import { useRef } from 'react';
+import { formatTimecode, PLAYBACK_SPEEDS } from '../utils/transport';
+
+/**
+ * PlayerControls Component
+ * Shared transport bar for every player (effect preview and recording session):
+ * scrub bar with edit-point ticks and in/out range, play/pause, frame step,
+ * previous/next boundary, J/K/L shuttle readout, playback speed, in/out markers and volume.
+ * All state and actions come from usePlayerTransport; keyboard shortcuts are bound there.
+ */
+export default function PlayerControls({
+    transport,
+    currentTime,
+    duration,
+    boundaries = [],
+    children
+}) {
+    const barRef = useRef(null);
+
+    const {
+        isPlaying,
+        shuttleRate,
+        speed,
+        frameRate,
+        markers,
+        volume,
+        muted
+    } = transport;
+
+    const toPercent = (time) => (duration ? (time / duration) * 100 : 0);
+
+    const seekToPointer = (e) => {
+        const rect = barRef.current.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+        transport.seek(ratio * duration);
+    };
+
+    const handlePointerDown = (e) => {
+        if (!duration) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        seekToPointer(e);
+    };
+
+    const handlePointerMove = (e) => {
+        if (e.currentTarget.hasPointerCapture(e.pointerId)) seekToPointer(e);
+    };
+
+    const shuttleLabel = shuttleRate < 0
+        ? `◀◀ ${Math.abs(shuttleRate)}x`
+        : shuttleRate > 1 ? `▶▶ ${shuttleRate}x` : null;
+
+    const hasRange = markers.in !== null || markers.out !== null;
+
+    return (
+        <div className="player-controls">
+            <div
+                ref={barRef}
+                className="player-progress"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+            >
+                {hasRange && (
+                    <div
+                        className="player-progress-range"
+                        style={{
+                            left: `${toPercent(markers.in ?? 0)}%`,
+                            width: `${toPercent((markers.out ?? duration) - (markers.in ?? 0))}%`
+                        }}
+                    />
+                )}
+                <div className="player-progress-fill" style={{ width: `${toPercent(currentTime)}%` }} />
+                {boundaries.map(time => (
+                    <span key={time} className="player-progress-tick" style={{ left: `${toPercent(time)}%` }} />
+                ))}
+                {markers.in !== null && (
+                    <span className="player-progress-marker in" style={{ left: `${toPercent(markers.in)}%` }} />
+                )}
+                {markers.out !== null && (
+                    <span className="player-progress-marker out" style={{ left: `${toPercent(markers.out)}%` }} />
+                )}
+            </div>
+
+            <div className="player-row">
+                <button className="player-button" onClick={() => transport.jumpToBoundary(-1)} title="Previous boundary (↑)">
+                    ⏮
+                </button>
+                <button className="player-button" onClick={() => transport.stepFrames(-1)} title="Previous frame (←)">
+                    ◀|
+                </button>
+                <button className="player-button primary" onClick={transport.togglePlay} title="Play / Pause (Space, J/K/L)">
+                    {isPlaying ? '⏸' : '▶'}
+                </button>
+                <button className="player-button" onClick={() => transport.stepFrames(1)} title="Next frame (→)">
+                    |▶
+                </button>
+                <button className="player-button" onClick={() => transport.jumpToBoundary(1)} title="Next boundary (↓)">
+                    ⏭
+                </button>
+
+                <span className="player-timecode" title={`${frameRate} fps`}>
+                    {formatTimecode(currentTime, frameRate)} / {formatTimecode(duration, frameRate)}
+                </span>
+
+                {shuttleLabel && <span className="player-shuttle">{shuttleLabel}</span>}
+
+                <select
+                    className="player-speed"
+                    value={speed}
+                    onChange={(e) => transport.setSpeed(parseFloat(e.target.value))}
+                    title="Playback speed"
+                >
+                    {PLAYBACK_SPEEDS.map(value => (
+                        <option key={value} value={value}>{value}×</option>
+                    ))}
+                </select>
+
+                <div className="player-markers">
+                    <button className="player-button" onClick={transport.setInPoint} title="Mark in (I, Shift+I to go)">
+                        In{markers.in !== null && ` ${formatTimecode(markers.in, frameRate)}`}
+                    </button>
+                    <button className="player-button" onClick={transport.setOutPoint} title="Mark out (O, Shift+O to go)">
+                        Out{markers.out !== null && ` ${formatTimecode(markers.out, frameRate)}`}
+                    </button>
+                    {hasRange && (
+                        <button className="player-button" onClick={transport.clearMarkers} title="Clear in/out (Alt+X)">
+                            ✕
+                        </button>
+                    )}
+                </div>
+
+                {/* Page-specific actions (export, renderer, ...) */}
+                {children}
+
+                <div className="player-volume">
+                    <button className="player-button" onClick={transport.toggleMute}>
+                        {muted ? '🔇' : volume > 0.5 ? '🔊' : '🔉'}
+                    </button>
+                    <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={muted ? 0 : volume}
+                        onChange={(e) => transport.setVolume(parseFloat(e.target.value))}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
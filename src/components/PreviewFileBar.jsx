@@ -0,0 +1,52 @@
+import { useRef } from 'react';
+
+/** File slots the preview can be loaded from */
+const SLOTS = [
+    { key: 'video', label: 'Video', accept: 'video/*,.webm' },
+    { key: 'audio', label: 'Audio', accept: 'audio/*,.webm' },
+    { key: 'instructions', label: 'Instructions', accept: 'application/json,.json' }
+];
+
+/**
+ * PreviewFileBar Component
+ * Open buttons for the preview's video, audio and instruction files (files can also be
+ * dropped anywhere on the page), the names currently loaded, and saving the edited instructions.
+ */
+export default function PreviewFileBar({ names, onOpen, onSave, canSave, error }) {
+    const inputRefs = useRef({});
+
+    const handleChange = (slot, e) => {
+        const file = e.target.files[0];
+        // Reset so picking the same file again still fires change
+        e.target.value = '';
+        if (file) onOpen(slot, file);
+    };
+
+    return (
+        <div className="preview-file-bar">
+            {SLOTS.map(({ key, label, accept }) => (
+                <div key={key} className="preview-file-slot">
+                    <button onClick={() => inputRefs.current[key].click()}>
+                        Open {label}
+                    </button>
+                    <span className="preview-file-name" title={names[key]}>{names[key]}</span>
+                    <input
+                        ref={(el) => { inputRefs.current[key] = el; }}
+                        type="file"
+                        accept={accept}
+                        hidden
+                        onChange={(e) => handleChange(key, e)}
+                    />
+                </div>
+            ))}
+
+            <button className="preview-file-save" onClick={onSave} disabled={!canSave}>
+                💾 Save Instructions
+            </button>
+
+            <span className="preview-file-hint">or drop files anywhere on the page</span>
+
+            {error && <div className="preview-file-error">{error}</div>}
+        </div>
+    );
+}
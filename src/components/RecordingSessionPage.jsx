@@ -1,14 +1,79 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { useProcessingWebSocket } from '../hooks/useProcessingWebSocket';
-import { processSession, generateSpeech, getCompleteRecording, exportVideo } from '../services/backend-api';
+import { usePlayerTransport } from '../hooks/usePlayerTransport';
+import { useSyncedMedia } from '../hooks/useSyncedMedia';
+import { useCutPlayback } from '../hooks/useCutPlayback';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { useSessionDraft } from '../hooks/useSessionDraft';
+import {
+    processSession,
+    generateSpeech,
+    regenerateNarrationSegment,
+    updateNarrations,
+    exportVideo
+} from '../services/backend-api';
 import {
     normalizeCoordinates,
-    calculateZoomTransform,
-    computeEffectProgress,
-    getActiveEffects,
-    buildTransformString,
-    resolveZoomEffect
+    getContainedVideoRect,
+    getLayerTransform,
+    buildTransformString
 } from '../utils/effectProcessor';
+import { computePreviewTransform, hasTransformPreview } from '../utils/effectRegistry';
+import { migrateInstructionDocument } from '../utils/instructionSchema';
+import { collectBoundaries } from '../utils/transport';
+import { updateItem, replaceCollection } from '../utils/editHistory';
+import { normalizeCuts, addCut, removeCutRange, isRangeCut } from '../utils/cutEditing';
+import { spliceAudioSegment } from '../utils/audioSplice';
+import EffectOverlay from './EffectOverlay';
+import PlayerControls from './PlayerControls';
+import HistoryPanel from './HistoryPanel';
+import DraftRecoveryBanner from './DraftRecoveryBanner';
+import NarrationSegment from './NarrationSegment';
+import NarrationTimeline from './NarrationTimeline';
+import TranscriptPanel from './TranscriptPanel';
+import CaptionExportBar from './CaptionExportBar';
+import CaptionOverlay from './CaptionOverlay';
+import ArticleView from './ArticleView';
+import {
+    CAPTION_PRESETS,
+    DEFAULT_CAPTION_PRESET,
+    buildNarrationCues,
+    buildCaptionCues,
+    buildCaptionFacts
+} from '../utils/captions';
+import { extractWordTimings, findActiveNarration, findActiveWord } from '../utils/wordTiming';
+import { getSessionTitle } from '../utils/articleGuide';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
+
+/**
+ * Prefix a backend-relative media path with the API base
+ * @param {string} url - Absolute URL or path relative to the backend
+ * @returns {string} Absolute URL
+ */
+function toBackendUrl(url) {
+    if (url.startsWith('http') || url.startsWith('blob:')) return url;
+    return `${API_BASE_URL}${url.startsWith('/') ? url : `/${url}`}`;
+}
+
+/**
+ * Stable key of a narration segment (its backend window index when present)
+ * @param {Object} narration - Narration
+ * @param {number} index - Position in the narrations list
+ * @returns {number}
+ */
+function getSegmentKey(narration, index) {
+    return narration.windowIndex ?? index;
+}
+
+/**
+ * Comparable fingerprint of narration timing
+ * @param {Array<Object>} [narrations] - Narrations
+ * @returns {string}
+ */
+function getNarrationTiming(narrations = []) {
+    return narrations.map(narration => `${narration.start}-${narration.end}`).join(',');
+}
 
 /**
  * RecordingSessionPage - Redesigned to match Descript-style UI
@@ -20,30 +85,63 @@ export default function RecordingSessionPage({ sessionId }) {
     const [preparing, setPreparing] = useState(true);
     const [processing, setProcessing] = useState(false);
     const [generatingSpeech, setGeneratingSpeech] = useState(false);
-    const [results, setResults] = useState(null);
+    // Session document (displayEffects, narrations, instructions) behind the undo/redo history
+    const history = useEditHistory(null);
+    const results = history.document;
+    const resetHistory = history.reset;
+    // Local draft in IndexedDB so a reload does not throw away edits
+    const sessionDraft = useSessionDraft(sessionId, results, { dirty: history.canUndo });
+    const [exporting, setExporting] = useState(false);
+    const [exportedVideoUrl, setExportedVideoUrl] = useState(null);
     const [processedAudioUrl, setProcessedAudioUrl] = useState(null);
+    // Narration text each segment's speech was synthesized from, keyed by segment key
+    const [spokenTexts, setSpokenTexts] = useState({});
+    const [segmentStatus, setSegmentStatus] = useState({});
+    const splicedAudioUrlRef = useRef(null);
+    // Narration timing the backend has, to tell whether the windows need saving
+    const [savedNarrationTiming, setSavedNarrationTiming] = useState('');
+    const [savingTiming, setSavingTiming] = useState(false);
+    // Deepgram word timings of the recording, for current-word highlighting and the transcript
+    const [wordTimings, setWordTimings] = useState([]);
+    // Page mode: 'video' (editor and player) or 'article' (written step-by-step guide)
+    const [viewMode, setViewMode] = useState('video');
+    // Left panel tab: 'script' (narrations) or 'transcript' (original voice track)
+    const [leftTab, setLeftTab] = useState('script');
     const [error, setError] = useState(null);
     const videoRef = useRef(null);
     const originalAudioRef = useRef(null);
     const aiAudioRef = useRef(null);
-    const progressBarRef = useRef(null);
 
     // Custom player state
-    const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [duration, setDuration] = useState(0);
-    const [volume, setVolume] = useState(1);
-    const [isMuted, setIsMuted] = useState(false);
 
     // CSS Effects state
     const [normalizedEffects, setNormalizedEffects] = useState([]);
     const [recordingDimensions, setRecordingDimensions] = useState(null);
     const videoLayerRef = useRef(null);
+    const overlayLayerRef = useRef(null);
     const rafRef = useRef(null);
 
-    const { connected, progress, error: wsError, completed } = useProcessingWebSocket(sessionId);
+    const { connected, progress, error: wsError, completed, transcript } = useProcessingWebSocket(sessionId);
+
+    // Narration audio follows the video clock with drift correction
+    const activeAudioRef = processedAudioUrl ? aiAudioRef : originalAudioRef;
+    useSyncedMedia({
+        videoRef,
+        audioRefs: [activeAudioRef],
+        sourceKey: `${videoUrl}|${processedAudioUrl || audioUrl}`
+    });
+
+    // Burned-in caption preview, timed from the narrations ('' = no captions)
+    const captionCues = useMemo(() => buildNarrationCues(results?.narrations), [results]);
+    const [captionPreset, setCaptionPreset] = useState(DEFAULT_CAPTION_PRESET);
 
-    // Synchronize video with audio using custom controls
+    // Cut ranges (source time) are skipped during playback
+    const cuts = useMemo(() => normalizeCuts(results?.cuts), [results]);
+    useCutPlayback({ videoRef, cuts, sourceKey: videoUrl });
+
+    // Track time and duration of the custom player
     useEffect(() => {
         const video = videoRef.current;
         const audio = processedAudioUrl ? aiAudioRef.current : originalAudioRef.current;
@@ -54,11 +152,6 @@ export default function RecordingSessionPage({ sessionId }) {
 
         const handleTimeUpdate = () => {
             setCurrentTime(video.currentTime);
-            // Keep audio in sync
-            const diff = Math.abs(video.currentTime - audio.currentTime);
-            if (diff > 0.3) {
-                audio.currentTime = video.currentTime;
-            }
         };
 
         const handleVideoLoadedMetadata = () => {
@@ -75,12 +168,6 @@ export default function RecordingSessionPage({ sessionId }) {
             }
         };
 
-        const handleEnded = () => {
-            setIsPlaying(false);
-            audio.pause();
-            video.pause();
-        };
-
         const handleCanPlay = () => {
             if (video.duration && !isNaN(video.duration) && isFinite(video.duration)) {
                 setDuration(prev => prev || video.duration);
@@ -104,23 +191,23 @@ export default function RecordingSessionPage({ sessionId }) {
         video.addEventListener('timeupdate', handleTimeUpdate);
         video.addEventListener('loadedmetadata', handleVideoLoadedMetadata);
         video.addEventListener('canplay', handleCanPlay);
-        video.addEventListener('ended', handleEnded);
         video.addEventListener('error', handleVideoError);
         audio.addEventListener('loadedmetadata', handleAudioLoadedMetadata);
         audio.addEventListener('canplay', handleAudioCanPlay);
         audio.addEventListener('error', handleAudioError);
 
-        // Reset playing state when audio changes
-        setIsPlaying(false);
+        // Reload when audio changes, keeping the playhead (a spliced segment should not rewind)
+        const resumeAt = video.currentTime || 0;
         video.pause();
         audio.pause();
-        video.currentTime = 0;
-        audio.currentTime = 0;
-        setCurrentTime(0);
 
         audio.load();
         video.load();
 
+        video.currentTime = resumeAt;
+        audio.currentTime = resumeAt;
+        setCurrentTime(resumeAt);
+
         setTimeout(() => {
             if (video.readyState >= 1) {
                 const dur = video.duration;
@@ -140,13 +227,12 @@ export default function RecordingSessionPage({ sessionId }) {
             video.removeEventListener('timeupdate', handleTimeUpdate);
             video.removeEventListener('loadedmetadata', handleVideoLoadedMetadata);
             video.removeEventListener('canplay', handleCanPlay);
-            video.removeEventListener('ended', handleEnded);
             video.removeEventListener('error', handleVideoError);
             audio.removeEventListener('loadedmetadata', handleAudioLoadedMetadata);
             audio.removeEventListener('canplay', handleAudioCanPlay);
             audio.removeEventListener('error', handleAudioError);
         };
-    }, [processedAudioUrl]);
+    }, [processedAudioUrl, videoUrl]);
 
     // Parse and normalize effects when results are available
     useEffect(() => {
@@ -164,7 +250,7 @@ export default function RecordingSessionPage({ sessionId }) {
 
             // Normalize all effect coordinates
             const filtered = results.displayEffects
-                .filter(effect => effect.target?.bounds && effect.style?.zoom?.enabled);
+                .filter(effect => effect.target?.bounds && hasTransformPreview(effect));
 
             const normalized = filtered.map(effect => {
                 const normalizedBounds = normalizeCoordinates(
@@ -200,39 +286,31 @@ export default function RecordingSessionPage({ sessionId }) {
         const video = videoRef.current;
         const videoLayer = videoLayerRef.current;
 
-        if (!video || !videoLayer || normalizedEffects.length === 0) return;
+        if (!video || !videoLayer || !results?.displayEffects?.length) return;
+
+        // The effect overlay shares the video transform so dims and outlines stay on target
+        const setLayerTransform = (transformString) => {
+            for (const layer of [videoLayer, overlayLayerRef.current]) {
+                if (layer) layer.style.transform = transformString;
+            }
+        };
 
         const renderFrame = () => {
+            // Media time, not wall-clock time, so effects stay aligned at any playback speed
             const currentTime = video.currentTime;
-            const activeEffects = getActiveEffects(normalizedEffects, currentTime);
-
-            if (activeEffects.length > 0) {
-                const effect = resolveZoomEffect(activeEffects);
-
-                if (effect) {
-                    const { centerX, centerY, autoScale } = effect.normalizedBounds;
-                    const targetScale = autoScale || effect.style.zoom.scale;
-
-                    const progress = computeEffectProgress(
-                        currentTime,
-                        effect.start,
-                        effect.end,
-                        0.25,
-                        0.25
-                    );
-
-                    const { scale, translateX, translateY } = calculateZoomTransform(
-                        progress,
-                        centerX,
-                        centerY,
-                        targetScale
-                    );
-
-                    const transformString = buildTransformString(translateX, translateY, scale);
-                    videoLayer.style.transform = transformString;
-                }
+            // Per-frame time drives the overlay's ease-in/hold/ease-out opacity
+            setCurrentTime(currentTime);
+            // Dispatch through the effect registry (latest-starting transform effect wins)
+            const preview = computePreviewTransform(normalizedEffects, currentTime);
+
+            if (preview) {
+                // Mapped to the displayed picture, around the top-left corner (getLayerTransform)
+                const { videoWidth, videoHeight } = video;
+                const contentRect = getContainedVideoRect(video.offsetWidth, video.offsetHeight, videoWidth, videoHeight);
+                const layer = getLayerTransform(preview, contentRect, videoWidth, videoHeight);
+                setLayerTransform(buildTransformString(layer.translateX, layer.translateY, layer.scale));
             } else {
-                videoLayer.style.transform = 'translate(0px, 0px) scale(1)';
+                setLayerTransform('translate(0px, 0px) scale(1)');
             }
 
             if (!video.paused && !video.ended) {
@@ -268,76 +346,22 @@ export default function RecordingSessionPage({ sessionId }) {
                 cancelAnimationFrame(rafRef.current);
             }
         };
-    }, [normalizedEffects]);
-
-    // Custom play/pause handler
-    const togglePlayPause = () => {
-        const video = videoRef.current;
-        const audio = processedAudioUrl ? aiAudioRef.current : originalAudioRef.current;
-
-        if (!video || !audio) return;
-
-        if (isPlaying) {
-            video.pause();
-            audio.pause();
-            setIsPlaying(false);
-        } else {
-            const playPromises = [
-                video.play().catch(err => console.error('[Custom Player] Video play error:', err)),
-                audio.play().catch(err => console.error('[Custom Player] Audio play error:', err))
-            ];
-            Promise.all(playPromises).then(() => {
-                setIsPlaying(true);
-            });
-        }
-    };
-
-    // Custom seek handler
-    const handleSeek = (e) => {
-        const video = videoRef.current;
-        const audio = processedAudioUrl ? aiAudioRef.current : originalAudioRef.current;
-
-        if (!video || !audio || !progressBarRef.current) return;
-
-        const rect = progressBarRef.current.getBoundingClientRect();
-        const pos = (e.clientX - rect.left) / rect.width;
-        const newTime = Math.max(0, Math.min(pos * duration, duration));
-
-        video.currentTime = newTime;
-        audio.currentTime = newTime;
-        setCurrentTime(newTime);
-    };
-
-    // Custom volume handler
-    const handleVolumeChange = (e) => {
-        const newVolume = parseFloat(e.target.value);
-        const video = videoRef.current;
-        const audio = processedAudioUrl ? aiAudioRef.current : originalAudioRef.current;
-
-        setVolume(newVolume);
-        setIsMuted(false);
-        if (video) video.volume = newVolume;
-        if (audio) audio.volume = newVolume;
-    };
+    }, [normalizedEffects, results]);
 
-    // Custom mute handler
-    const toggleMute = () => {
-        const video = videoRef.current;
-        const audio = processedAudioUrl ? aiAudioRef.current : originalAudioRef.current;
+    // Effect and narration edges are the jump points for ↑/↓
+    const boundaries = useMemo(
+        () => collectBoundaries(results?.displayEffects, results?.narrations),
+        [results]
+    );
 
-        const newMuted = !isMuted;
-        setIsMuted(newMuted);
-        if (video) video.muted = newMuted;
-        if (audio) audio.muted = newMuted;
-    };
-
-    // Format time helper
-    const formatTime = (time) => {
-        if (!time || isNaN(time) || !isFinite(time)) return '0:00';
-        const minutes = Math.floor(time / 60);
-        const seconds = Math.floor(time % 60);
-        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    };
+    // Shared transport: narration audio (original or AI voice) follows the video
+    const transport = usePlayerTransport({
+        videoRef,
+        // Both narration tracks share speed and volume so switching tracks stays aligned
+        syncedMediaRefs: [originalAudioRef, aiAudioRef],
+        duration,
+        boundaries
+    });
 
     // Auto-start processing when page loads
     useEffect(() => {
@@ -379,7 +403,13 @@ export default function RecordingSessionPage({ sessionId }) {
                     setDuration(response.videoDuration);
                 }
 
-                setResults(response);
+                const sessionDocument = migrateInstructionDocument(response).document;
+                resetHistory(sessionDocument);
+                setSavedNarrationTiming(getNarrationTiming(sessionDocument.narrations));
+                setWordTimings(extractWordTimings(response));
+                setSpokenTexts(Object.fromEntries(
+                    (sessionDocument.narrations || []).map((narration, idx) => [getSegmentKey(narration, idx), narration.text])
+                ));
                 setPreparing(false);
                 setProcessing(false);
             } catch (err) {
@@ -391,7 +421,7 @@ export default function RecordingSessionPage({ sessionId }) {
         };
 
         startProcessing();
-    }, [sessionId]);
+    }, [sessionId, resetHistory]);
 
     const handleGenerateSpeech = async () => {
         if (!sessionId) {
@@ -425,6 +455,162 @@ export default function RecordingSessionPage({ sessionId }) {
         }
     };
 
+    // Script edits go through the undo/redo history; typing in one segment merges into one entry
+    const handleNarrationTextChange = (index, text) => {
+        const narration = results.narrations[index];
+        history.execute(updateItem(
+            'narrations',
+            index,
+            narration,
+            { ...narration, text },
+            `Edit sync point ${index + 1} script`,
+            `text:${index}`
+        ));
+    };
+
+    // Guide edits are stored on the recorded action; null goes back to the generated step
+    // Title and text are overridden separately: an untouched field keeps following the narration
+    const handleGuideStepChange = (index, changes) => {
+        const instruction = results.instructions[index];
+        const { guide: previous, ...generated } = instruction;
+        const guide = changes ? { ...previous, ...changes } : null;
+        history.execute(updateItem(
+            'instructions',
+            index,
+            instruction,
+            guide ? { ...instruction, guide } : generated,
+            `${guide ? 'Edit' : 'Reset'} guide step at ${instruction.t.toFixed(1)}s`,
+            guide ? `guide:${index}` : null
+        ));
+    };
+
+    // Text-based cuts: removing or restoring a range is one undoable edit of the cut list
+    const handleCutRange = (start, end) => {
+        history.execute(replaceCollection(
+            'cuts',
+            results.cuts || [],
+            addCut(cuts, start, end),
+            `Cut ${start.toFixed(2)}s - ${end.toFixed(2)}s`
+        ));
+    };
+
+    const handleRestoreRange = (start, end) => {
+        history.execute(replaceCollection(
+            'cuts',
+            results.cuts || [],
+            removeCutRange(cuts, start, end),
+            `Restore ${start.toFixed(2)}s - ${end.toFixed(2)}s`
+        ));
+    };
+
+    // Re-synthesize one edited segment and splice it into the current speech track
+    const handleRegenerateSegment = async (index) => {
+        const narration = results.narrations[index];
+        const key = getSegmentKey(narration, index);
+        if (!processedAudioUrl) return;
+
+        setSegmentStatus(prev => ({ ...prev, [key]: { regenerating: true } }));
+        setError(null);
+
+        try {
+            const response = await regenerateNarrationSegment(sessionId, narration);
+            const { blob, overflow } = await spliceAudioSegment(
+                processedAudioUrl,
+                toBackendUrl(response.segmentAudioUrl),
+                narration.start,
+                narration.end
+            );
+
+            if (splicedAudioUrlRef.current) URL.revokeObjectURL(splicedAudioUrlRef.current);
+            splicedAudioUrlRef.current = URL.createObjectURL(blob);
+
+            console.log(`[Session] Spliced segment ${key} (${narration.start}-${narration.end}s)`);
+            setProcessedAudioUrl(splicedAudioUrlRef.current);
+            setSpokenTexts(prev => ({ ...prev, [key]: narration.text }));
+            setSegmentStatus(prev => ({ ...prev, [key]: { regenerating: false, overflow } }));
+        } catch (err) {
+            console.error('[Session] Segment regeneration error:', err);
+            setError(`Speech regeneration for sync point ${index + 1} failed: ${err.message}`);
+            setSegmentStatus(prev => ({ ...prev, [key]: { regenerating: false } }));
+        }
+    };
+
+    // Timeline drags emit every pointer move; merge them into one history entry per gesture
+    const handleNarrationTimingChange = (index, updated) => {
+        history.execute(updateItem(
+            'narrations',
+            index,
+            results.narrations[index],
+            updated,
+            `Retime sync point ${index + 1}`,
+            `narration-timing:${index}`
+        ));
+    };
+
+    const handleSaveNarrationTiming = async () => {
+        setSavingTiming(true);
+        setError(null);
+
+        try {
+            await updateNarrations(sessionId, results.narrations);
+            setSavedNarrationTiming(getNarrationTiming(results.narrations));
+        } catch (err) {
+            console.error('[Session] Saving narration timing failed:', err);
+            setError('Saving narration timing failed: ' + err.message);
+        } finally {
+            setSavingTiming(false);
+        }
+    };
+
+    // A transcript pushed over the WebSocket is newer than the one in the processing response
+    const transcriptWords = useMemo(() => {
+        const pushed = transcript ? extractWordTimings(transcript) : [];
+        return pushed.length > 0 ? pushed : wordTimings;
+    }, [transcript, wordTimings]);
+
+    const activeNarration = findActiveNarration(results?.narrations, currentTime);
+
+    // Shown in the header and written into exported guides
+    const sessionTitle = getSessionTitle(results, sessionId);
+
+    const timingDirty = Boolean(results?.narrations) && getNarrationTiming(results.narrations) !== savedNarrationTiming;
+
+    // Release the spliced speech track when leaving the session
+    useEffect(() => {
+        const splicedAudioUrl = splicedAudioUrlRef;
+        return () => {
+            if (splicedAudioUrl.current) URL.revokeObjectURL(splicedAudioUrl.current);
+        };
+    }, []);
+
+    const handleRestoreDraft = () => {
+        const draftDocument = sessionDraft.restore();
+        if (draftDocument) resetHistory(draftDocument);
+    };
+
+    // Render with the head of the edit history, not the originally processed session
+    const handleExportVideo = async () => {
+        if (!results) return;
+
+        setExporting(true);
+        setError(null);
+
+        try {
+            // Exported captions follow the cut timeline, like the rest of the payload
+            const response = await exportVideo(sessionId, results, {
+                captions: buildCaptionFacts(buildCaptionCues(results, 'narrations'), captionPreset)
+            });
+            console.log('[Session] Export response:', response);
+            setExportedVideoUrl(response.processedVideoUrl || null);
+            sessionDraft.clear();
+        } catch (err) {
+            console.error('[Session] Export error:', err);
+            setError('Video export failed: ' + err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
     if (!sessionId) {
         return (
             <div style={{
@@ -496,34 +682,60 @@ export default function RecordingSessionPage({ sessionId }) {
                         fontSize: '1.25rem',
                         fontWeight: '600',
                         margin: 0
-                    }}>Booking an Airbnb Guide</h1>
+                    }}>{sessionTitle}</h1>
                 </div>
                 <div style={{ display: 'flex', gap: '0.75rem' }}>
-                    <button style={{
-                        padding: '0.5rem 1rem',
-                        backgroundColor: '#3b3b50',
-                        color: '#fff',
-                        border: 'none',
-                        borderRadius: '6px',
-                        cursor: 'pointer',
-                        fontSize: '0.875rem'
-                    }}>Video</button>
-                    <button style={{
-                        padding: '0.5rem 1rem',
-                        backgroundColor: 'transparent',
-                        color: '#999',
-                        border: '1px solid #3b3b50',
-                        borderRadius: '6px',
-                        cursor: 'pointer',
-                        fontSize: '0.875rem'
-                    }}>Article</button>
+                    {[['video', 'Video'], ['article', 'Article']].map(([mode, label]) => (
+                        <button
+                            key={mode}
+                            onClick={() => {
+                                // The hidden player would keep talking over the article
+                                if (mode === 'article') transport.pause();
+                                setViewMode(mode);
+                            }}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                backgroundColor: viewMode === mode ? '#3b3b50' : 'transparent',
+                                color: viewMode === mode ? '#fff' : '#999',
+                                border: viewMode === mode ? 'none' : '1px solid #3b3b50',
+                                borderRadius: '6px',
+                                cursor: 'pointer',
+                                fontSize: '0.875rem'
+                            }}
+                        >
+                            {label}
+                        </button>
+                    ))}
                 </div>
             </div>
 
-            {/* Main Content Area */}
+            {sessionDraft.pending && (
+                <DraftRecoveryBanner
+                    sessionId={sessionId}
+                    draft={sessionDraft.draft}
+                    changes={sessionDraft.changes}
+                    remote={sessionDraft.remote}
+                    remoteError={sessionDraft.remoteError}
+                    canRestore={Boolean(results)}
+                    onRestore={handleRestoreDraft}
+                    onDiscard={sessionDraft.discard}
+                />
+            )}
+
+            {viewMode === 'article' && (
+                <ArticleView
+                    sessionId={sessionId}
+                    title={sessionTitle}
+                    sessionDocument={results}
+                    videoUrl={videoUrl}
+                    onStepChange={handleGuideStepChange}
+                />
+            )}
+
+            {/* Main Content Area - kept mounted in Article mode so the player keeps its media wiring */}
             <div style={{
                 flex: 1,
-                display: 'flex',
+                display: viewMode === 'video' ? 'flex' : 'none',
                 overflow: 'hidden'
             }}>
                 {/* Left Side - Script Panel */}
@@ -544,7 +756,29 @@ export default function RecordingSessionPage({ sessionId }) {
                         justifyContent: 'space-between'
                     }}>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                            <span style={{ color: '#fff', fontSize: '0.875rem', fontWeight: '500' }}>📝 Script</span>
+                            {[['script', '📝 Script'], ['transcript', '🗒️ Transcript']].map(([tab, label]) => (
+                                <button
+                                    key={tab}
+                                    onClick={() => setLeftTab(tab)}
+                                    style={{
+                                        padding: '0.25rem 0.5rem',
+                                        backgroundColor: 'transparent',
+                                        color: leftTab === tab ? '#fff' : '#999',
+                                        border: 'none',
+                                        borderBottom: `2px solid ${leftTab === tab ? '#6366f1' : 'transparent'}`,
+                                        cursor: 'pointer',
+                                        fontSize: '0.875rem',
+                                        fontWeight: '500'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                            {sessionDraft.lastSavedAt && (
+                                <span style={{ color: '#666', fontSize: '0.75rem' }}>
+                                    Draft saved {new Date(sessionDraft.lastSavedAt).toLocaleTimeString()}
+                                </span>
+                            )}
                         </div>
                         <div style={{ display: 'flex', gap: '0.5rem' }}>
                             <button
@@ -587,6 +821,25 @@ export default function RecordingSessionPage({ sessionId }) {
                             }}>
                                 ✨ AI Rewrite
                             </button>
+                            <button
+                                onClick={handleExportVideo}
+                                disabled={exporting || !results}
+                                style={{
+                                    padding: '0.5rem 1rem',
+                                    backgroundColor: exporting ? '#4a4a5e' : '#10b981',
+                                    color: '#fff',
+                                    border: 'none',
+                                    borderRadius: '6px',
+                                    cursor: exporting || !results ? 'not-allowed' : 'pointer',
+                                    fontSize: '0.875rem',
+                                    fontWeight: '500',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '0.5rem'
+                                }}
+                            >
+                                {exporting ? <>⏳ Exporting...</> : <>🎬 Export</>}
+                            </button>
                         </div>
                     </div>
 
@@ -609,94 +862,72 @@ export default function RecordingSessionPage({ sessionId }) {
                             </div>
                         )}
 
-                        {/* Debug: Show results state */}
-                        {!results && !error && (
-                            <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
-                                Loading script...
-                            </div>
-                        )}
-
-                        {results && !results.narrations && (
-                            <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
-                                No narrations generated yet.
-                                <pre style={{ fontSize: '0.75rem', marginTop: '1rem', textAlign: 'left', color: '#999' }}>
-                                    {JSON.stringify(results, null, 2).substring(0, 500)}
-                                </pre>
-                            </div>
-                        )}
-
-                        {results && results.narrations && results.narrations.length > 0 && results.narrations.map((narration, idx) => (
-                            <div key={idx} style={{
-                                marginBottom: '1.5rem',
-                                position: 'relative'
-                            }}>
-                                {/* Section Number */}
-                                <div style={{
-                                    position: 'absolute',
-                                    left: '-2rem',
-                                    top: '0.25rem',
-                                    color: '#666',
-                                    fontSize: '0.875rem',
-                                    fontWeight: '500'
-                                }}>
-                                    {idx + 1}
-                                </div>
-
-                                {/* Section Header */}
-                                <div style={{
-                                    display: 'flex',
-                                    alignItems: 'center',
-                                    gap: '0.5rem',
-                                    marginBottom: '0.5rem'
-                                }}>
-                                    <span style={{
-                                        color: '#999',
-                                        fontSize: '0.75rem',
-                                        fontWeight: '500',
-                                        textTransform: 'uppercase',
-                                        letterSpacing: '0.05em'
-                                    }}>Video</span>
-                                    <div style={{
-                                        width: '24px',
-                                        height: '24px',
-                                        borderRadius: '50%',
-                                        backgroundColor: '#6366f1',
-                                        display: 'flex',
-                                        alignItems: 'center',
-                                        justifyContent: 'center',
-                                        fontSize: '0.75rem'
-                                    }}>👤</div>
-                                    <span style={{
-                                        padding: '0.25rem 0.5rem',
-                                        backgroundColor: '#6366f1',
-                                        color: '#fff',
-                                        borderRadius: '4px',
-                                        fontSize: '0.7rem',
-                                        fontWeight: '500'
-                                    }}>
-                                        Sync Point {idx + 1}
-                                    </span>
-                                </div>
+                        {leftTab === 'transcript' ? (
+                            <TranscriptPanel
+                                words={transcriptWords}
+                                cuts={cuts}
+                                currentTime={currentTime}
+                                onSeek={transport.seek}
+                                onCut={handleCutRange}
+                                onRestore={handleRestoreRange}
+                            />
+                        ) : (
+                            <>
+                                {/* Debug: Show results state */}
+                                {!results && !error && (
+                                    <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
+                                        Loading script...
+                                    </div>
+                                )}
 
-                                {/* Narration Text */}
-                                <p style={{
-                                    color: '#e5e5e5',
-                                    fontSize: '0.9rem',
-                                    lineHeight: '1.6',
-                                    margin: 0,
-                                    paddingLeft: '0.5rem'
-                                }}>
-                                    {narration.text}
-                                </p>
-                            </div>
-                        ))}
+                                {results && !results.narrations && (
+                                    <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
+                                        No narrations generated yet.
+                                        <pre style={{ fontSize: '0.75rem', marginTop: '1rem', textAlign: 'left', color: '#999' }}>
+                                            {JSON.stringify(results, null, 2).substring(0, 500)}
+                                        </pre>
+                                    </div>
+                                )}
 
-                        {results && results.narrations && results.narrations.length === 0 && (
-                            <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
-                                No narrations available. Processing may have failed.
-                            </div>
+                                {results && results.narrations && results.narrations.length > 0 && results.narrations.map((narration, idx) => {
+                                    const key = getSegmentKey(narration, idx);
+                                    const cut = isRangeCut(cuts, narration.start, narration.end);
+                                    return (
+                                        <NarrationSegment
+                                            key={key}
+                                            index={idx}
+                                            narration={narration}
+                                            dirty={spokenTexts[key] !== undefined && spokenTexts[key] !== narration.text}
+                                            regenerating={segmentStatus[key]?.regenerating}
+                                            overflow={segmentStatus[key]?.overflow}
+                                            canRegenerate={Boolean(processedAudioUrl)}
+                                            active={idx === activeNarration}
+                                            activeWord={idx === activeNarration ? findActiveWord(narration, currentTime, transcriptWords) : -1}
+                                            onTextChange={(text) => handleNarrationTextChange(idx, text)}
+                                            onRegenerate={() => handleRegenerateSegment(idx)}
+                                            cut={cut}
+                                            onSeek={() => transport.seek(narration.start)}
+                                            onToggleCut={() => (cut ? handleRestoreRange : handleCutRange)(narration.start, narration.end)}
+                                        />
+                                    );
+                                })}
+
+                                {results && results.narrations && results.narrations.length === 0 && (
+                                    <div style={{ textAlign: 'center', color: '#666', padding: '2rem' }}>
+                                        No narrations available. Processing may have failed.
+                                    </div>
+                                )}
+                            </>
                         )}
                     </div>
+
+                    {/* Edit History */}
+                    {results && (
+                        <HistoryPanel
+                            history={history}
+                            style={{ borderRadius: 0, borderLeft: 'none', borderRight: 'none', borderBottom: 'none' }}
+                        />
+                    )}
                 </div>
 
                 {/* Right Side - Video Player */}
@@ -805,12 +1036,31 @@ export default function RecordingSessionPage({ sessionId }) {
                                         style={{
                                             width: '100%',
                                             height: '100%',
-                                            display: 'block'
+                                            display: 'block',
+                                            transformOrigin: '0 0'
                                         }}
                                     >
                                         <source src={videoUrl} type="video/webm" />
                                     </video>
 
+                                    {/* dimBackground / outline styles, transformed with the video and kept below the controls */}
+                                    <EffectOverlay
+                                        effects={results?.displayEffects || []}
+                                        currentTime={currentTime}
+                                        recordingDimensions={recordingDimensions}
+                                        layerRef={overlayLayerRef}
+                                        style={{ inset: 0, zIndex: 'auto' }}
+                                    />
+
+                                    {/* Captions stay outside the zoom transform and above the controls gradient */}
+                                    <CaptionOverlay
+                                        cues={captionCues}
+                                        currentTime={currentTime}
+                                        preset={captionPreset}
+                                        recordingDimensions={recordingDimensions}
+                                        style={{ inset: 0 }}
+                                    />
+
                                     {/* Custom Controls Overlay */}
                                     <div style={{
                                         position: 'absolute',
@@ -818,111 +1068,14 @@ export default function RecordingSessionPage({ sessionId }) {
                                         left: 0,
                                         right: 0,
                                         background: 'linear-gradient(to top, rgba(0,0,0,0.8) 0%, rgba(0,0,0,0.6) 60%, transparent 100%)',
-                                        padding: '20px 16px 12px',
-                                        display: 'flex',
-                                        flexDirection: 'column',
-                                        gap: '8px'
+                                        padding: '20px 16px 12px'
                                     }}>
-                                        {/* Progress Bar */}
-                                        <div
-                                            ref={progressBarRef}
-                                            onClick={handleSeek}
-                                            style={{
-                                                width: '100%',
-                                                height: '6px',
-                                                backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                                                borderRadius: '3px',
-                                                cursor: 'pointer',
-                                                position: 'relative'
-                                            }}
-                                        >
-                                            <div style={{
-                                                width: `${(currentTime / duration) * 100}%`,
-                                                height: '100%',
-                                                backgroundColor: '#6366f1',
-                                                borderRadius: '3px',
-                                                transition: 'width 0.1s'
-                                            }}></div>
-                                        </div>
-
-                                        {/* Control Buttons */}
-                                        <div style={{
-                                            display: 'flex',
-                                            alignItems: 'center',
-                                            gap: '12px',
-                                            color: '#fff'
-                                        }}>
-                                            {/* Play/Pause Button */}
-                                            <button
-                                                onClick={togglePlayPause}
-                                                style={{
-                                                    background: 'transparent',
-                                                    border: 'none',
-                                                    color: '#fff',
-                                                    fontSize: '24px',
-                                                    cursor: 'pointer',
-                                                    padding: '4px',
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    justifyContent: 'center',
-                                                    width: '40px',
-                                                    height: '40px',
-                                                    borderRadius: '50%',
-                                                    transition: 'background-color 0.2s'
-                                                }}
-                                                onMouseEnter={(e) => e.target.style.backgroundColor = 'rgba(255,255,255,0.1)'}
-                                                onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
-                                            >
-                                                {isPlaying ? '⏸' : '▶'}
-                                            </button>
-
-                                            {/* Time Display */}
-                                            <div style={{
-                                                fontSize: '14px',
-                                                fontFamily: 'monospace',
-                                                minWidth: '100px'
-                                            }}>
-                                                {formatTime(currentTime)} / {formatTime(duration)}
-                                            </div>
-
-                                            {/* Spacer */}
-                                            <div style={{ flex: 1 }}></div>
-
-                                            {/* Volume Control */}
-                                            <div style={{
-                                                display: 'flex',
-                                                alignItems: 'center',
-                                                gap: '8px'
-                                            }}>
-                                                <button
-                                                    onClick={toggleMute}
-                                                    style={{
-                                                        background: 'transparent',
-                                                        border: 'none',
-                                                        color: '#fff',
-                                                        fontSize: '20px',
-                                                        cursor: 'pointer',
-                                                        padding: '4px',
-                                                        display: 'flex',
-                                                        alignItems: 'center'
-                                                    }}
-                                                >
-                                                    {isMuted ? '🔇' : volume > 0.5 ? '🔊' : '🔉'}
-                                                </button>
-                                                <input
-                                                    type="range"
-                                                    min="0"
-                                                    max="1"
-                                                    step="0.05"
-                                                    value={volume}
-                                                    onChange={handleVolumeChange}
-                                                    style={{
-                                                        width: '80px',
-                                                        cursor: 'pointer'
-                                                    }}
-                                                />
-                                            </div>
-                                        </div>
+                                        <PlayerControls
+                                            transport={transport}
+                                            currentTime={currentTime}
+                                            duration={duration}
+                                            boundaries={boundaries}
+                                        />
                                     </div>
                                 </>
                             )}
@@ -945,11 +1098,71 @@ export default function RecordingSessionPage({ sessionId }) {
                                 style={{ display: 'none' }}
                                 preload="auto"
                             >
-                                <source src={processedAudioUrl} type="audio/mpeg" />
+                                {/* No type: the backend's MP3 becomes a WAV blob once a segment is spliced in */}
+                                <source src={processedAudioUrl} />
                             </audio>
                         )}
                     </div>
 
+                    {/* Narration Lane */}
+                    {results?.narrations?.length > 0 && (
+                        <div style={{ width: '100%', maxWidth: '900px', marginTop: '1rem' }}>
+                            <div style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'space-between',
+                                marginBottom: '0.5rem',
+                                color: '#999',
+                                fontSize: '0.75rem'
+                            }}>
+                                <span>Narration windows · snap to actions (hold Alt to drag freely)</span>
+                                <button
+                                    onClick={handleSaveNarrationTiming}
+                                    disabled={!timingDirty || savingTiming}
+                                    style={{
+                                        padding: '0.25rem 0.75rem',
+                                        backgroundColor: timingDirty && !savingTiming ? '#6366f1' : '#3b3b50',
+                                        color: '#fff',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: timingDirty && !savingTiming ? 'pointer' : 'not-allowed',
+                                        fontSize: '0.75rem',
+                                        fontWeight: '500'
+                                    }}
+                                >
+                                    {savingTiming ? '⏳ Saving...' : timingDirty ? '💾 Save Timing' : '✓ Timing Saved'}
+                                </button>
+                            </div>
+                            <NarrationTimeline
+                                narrations={results.narrations}
+                                snapPoints={(results.instructions || []).map(instruction => instruction.t)}
+                                duration={duration}
+                                currentTime={currentTime}
+                                onChange={handleNarrationTimingChange}
+                            />
+                            <div style={{ marginTop: '0.75rem', display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#999', fontSize: '0.75rem' }}>
+                                    Burned-in captions
+                                    <select
+                                        className="caption-preset"
+                                        value={captionPreset}
+                                        onChange={(e) => setCaptionPreset(e.target.value)}
+                                    >
+                                        <option value="">Off</option>
+                                        {Object.entries(CAPTION_PRESETS).map(([key, preset]) => (
+                                            <option key={key} value={key}>{preset.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <CaptionExportBar
+                                    sessionId={sessionId}
+                                    sessionDocument={results}
+                                    words={transcriptWords}
+                                />
+                            </div>
+                        </div>
+                    )}
+
                     {/* Status Indicator */}
                     {processedAudioUrl && (
                         <div style={{
@@ -968,6 +1181,22 @@ export default function RecordingSessionPage({ sessionId }) {
                             <span>Enhanced Video Ready - AI Voice Active</span>
                         </div>
                     )}
+
+                    {exportedVideoUrl && (
+                        <a
+                            href={exportedVideoUrl}
+                            target="_blank"
+                            rel="noreferrer"
+                            style={{
+                                marginTop: '0.75rem',
+                                color: '#10b981',
+                                fontSize: '0.875rem',
+                                fontWeight: '500'
+                            }}
+                        >
+                            🎬 Open exported video
+                        </a>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,198 @@
+import { Fragment, useEffect, useMemo, useRef, useState } from 'react';
+import { groupSpeakerTurns, searchTranscript } from '../utils/wordTiming';
+import { findCutAt, isRangeCut } from '../utils/cutEditing';
+
+/** Words Deepgram is less sure of than this are marked */
+const LOW_CONFIDENCE = 0.6;
+
+/**
+ * Index of the word being heard at a time (the last word that has started)
+ * @param {Array<Object>} words - Word timings sorted by start
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Word index, or -1 before the first word
+ */
+function findCurrentWord(words, time) {
+    let current = -1;
+    for (let i = 0; i < words.length && words[i].start <= time; i++) current = i;
+    return current;
+}
+
+/**
+ * TranscriptPanel Component
+ * Word-level Deepgram transcript of the original voice track, grouped into speaker turns.
+ * Each word shows its timing and confidence on hover, low-confidence words are marked,
+ * the word being heard is highlighted, and clicking a word selects it and seeks to it.
+ * The search box finds a phrase and steps through its occurrences.
+ *
+ * Text-based cutting: click a word and Shift+click another to select the span between them,
+ * then Delete cuts that range of the video; selecting cut (struck-through) words restores them.
+ */
+export default function TranscriptPanel({ words, cuts = [], currentTime, onSeek, onCut, onRestore }) {
+    const [query, setQuery] = useState('');
+    const [matchIndex, setMatchIndex] = useState(0);
+    // Selected word span as { anchor, focus } word indices
+    const [selection, setSelection] = useState(null);
+    const listRef = useRef(null);
+
+    const turns = useMemo(() => groupSpeakerTurns(words), [words]);
+    const matches = useMemo(() => searchTranscript(words, query), [words, query]);
+    const hasSpeakers = turns.some(turn => turn.speaker !== null);
+
+    const currentMatch = matches.length > 0 ? matches[Math.min(matchIndex, matches.length - 1)] : null;
+    const currentWord = findCurrentWord(words, currentTime);
+
+    // Word index -> 'match' | 'current-match' for quick lookup while rendering
+    const matchedWords = useMemo(() => {
+        const marked = new Map();
+        for (const match of matches) {
+            for (let i = match.first; i <= match.last; i++) {
+                marked.set(i, match === currentMatch ? 'current-match' : 'match');
+            }
+        }
+        return marked;
+    }, [matches, currentMatch]);
+
+    // Bring the selected match into view
+    useEffect(() => {
+        if (!currentMatch) return;
+        listRef.current
+            ?.querySelector(`[data-word-index="${currentMatch.first}"]`)
+            ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }, [currentMatch]);
+
+    const stepMatch = (direction) => {
+        if (matches.length === 0) return;
+        const next = (Math.min(matchIndex, matches.length - 1) + direction + matches.length) % matches.length;
+        setMatchIndex(next);
+        onSeek(words[matches[next].first].start);
+    };
+
+    const selectedRange = selection && words[selection.anchor] && words[selection.focus]
+        ? {
+            first: Math.min(selection.anchor, selection.focus),
+            last: Math.max(selection.anchor, selection.focus)
+        }
+        : null;
+    const selectedTimes = selectedRange
+        ? { start: words[selectedRange.first].start, end: words[selectedRange.last].end }
+        : null;
+    const selectionCut = selectedTimes ? isRangeCut(cuts, selectedTimes.start, selectedTimes.end) : false;
+
+    const handleWordClick = (e, index) => {
+        if (e.shiftKey && selection) {
+            setSelection({ ...selection, focus: index });
+            return;
+        }
+        setSelection({ anchor: index, focus: index });
+        onSeek(words[index].start);
+    };
+
+    const applySelection = () => {
+        if (!selectedTimes) return;
+        if (selectionCut) {
+            onRestore(selectedTimes.start, selectedTimes.end);
+        } else {
+            onCut(selectedTimes.start, selectedTimes.end);
+        }
+        setSelection(null);
+    };
+
+    const handleListKeyDown = (e) => {
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            applySelection();
+        } else if (e.key === 'Escape') {
+            setSelection(null);
+        }
+    };
+
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepMatch(e.shiftKey ? -1 : 1);
+        }
+    };
+
+    if (words.length === 0) {
+        return <div className="transcript-empty">No transcript available for this session yet.</div>;
+    }
+
+    return (
+        <div className="transcript-panel">
+            <div className="transcript-search">
+                <input
+                    type="search"
+                    placeholder="Search transcript..."
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        // A new search starts at its first match
+                        setMatchIndex(0);
+                    }}
+                    onKeyDown={handleSearchKeyDown}
+                />
+                {query.trim() && (
+                    <span className="transcript-search-count">
+                        {matches.length > 0 ? `${Math.min(matchIndex, matches.length - 1) + 1}/${matches.length}` : 'No matches'}
+                    </span>
+                )}
+                <button onClick={() => stepMatch(-1)} disabled={matches.length === 0} title="Previous match (Shift+Enter)">↑</button>
+                <button onClick={() => stepMatch(1)} disabled={matches.length === 0} title="Next match (Enter)">↓</button>
+            </div>
+
+            {selectedRange && (
+                <div className="transcript-selection">
+                    <span>
+                        {selectedRange.last - selectedRange.first + 1} word{selectedRange.last > selectedRange.first ? 's' : ''} ·{' '}
+                        {selectedTimes.start.toFixed(2)}s - {selectedTimes.end.toFixed(2)}s
+                    </span>
+                    <button onClick={applySelection}>
+                        {selectionCut ? '↺ Restore' : '✂️ Cut'}
+                    </button>
+                    <button onClick={() => setSelection(null)} title="Clear selection (Esc)">✕</button>
+                </div>
+            )}
+
+            {/* Focusable so Delete/Backspace act on the selection */}
+            <div ref={listRef} className="transcript-turns" tabIndex={0} onKeyDown={handleListKeyDown}>
+                {turns.map(turn => (
+                    <div key={turn.words[0].index} className="transcript-turn">
+                        <div className="transcript-turn-header">
+                            {hasSpeakers && <span className="transcript-speaker">Speaker {(turn.speaker ?? 0) + 1}</span>}
+                            <button className="transcript-turn-time" onClick={() => onSeek(turn.start)}>
+                                {turn.start.toFixed(1)}s
+                            </button>
+                        </div>
+                        <p className="transcript-words">
+                            {turn.words.map(word => {
+                                const classes = ['transcript-word'];
+                                if (word.index === currentWord) classes.push('current');
+                                if (word.confidence !== null && word.confidence < LOW_CONFIDENCE) classes.push('low-confidence');
+                                if (matchedWords.has(word.index)) classes.push(matchedWords.get(word.index));
+                                if (findCutAt(cuts, (word.start + word.end) / 2)) classes.push('cut');
+                                if (selectedRange && word.index >= selectedRange.first && word.index <= selectedRange.last) {
+                                    classes.push('selected');
+                                }
+
+                                const confidence = word.confidence !== null ? ` · ${Math.round(word.confidence * 100)}%` : '';
+
+                                return (
+                                    <Fragment key={word.index}>
+                                        <span
+                                            data-word-index={word.index}
+                                            className={classes.join(' ')}
+                                            title={`${word.start.toFixed(2)}s - ${word.end.toFixed(2)}s${confidence}`}
+                                            onClick={(e) => handleWordClick(e, word.index)}
+                                        >
+                                            {word.word}
+                                        </span>{' '}
+                                    </Fragment>
+                                );
+                            })}
+                        </p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -1,40 +1,117 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useEffectEvent, useMemo, useState, useCallback } from 'react';
 import {
     normalizeCoordinates,
-    calculateZoomTransform,
-    computeEffectProgress,
     getActiveEffects,
-    buildTransformString,
-    resolveZoomEffect
+    getContainedVideoRect,
+    getLayerTransform,
+    buildTransformString
 } from '../utils/effectProcessor';
-import { generateZoomInstructions, validateZoomInstruction, checkInstructionPurity } from '../utils/instructionGenerator';
+import {
+    MIN_BLUR_INTENSITY,
+    MAX_BLUR_INTENSITY,
+    DEFAULT_BLUR_INTENSITY,
+    generateCutInstruction,
+    validateCutInstruction
+} from '../utils/instructionGenerator';
+import {
+    generateInstructions,
+    validateInstruction,
+    checkRegisteredInstructionPurity,
+    computePreviewTransform,
+    hasTransformPreview,
+    getEditableEffectTypes,
+    getEffectKind,
+    changeEffectKind
+} from '../utils/effectRegistry';
+import { createZoomEffect } from '../utils/timelineEditing';
 import { submitBatchZoomInstructions } from '../services/api';
+import { useElementBox } from '../hooks/useElementBox';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { useCanvasRenderer } from '../hooks/useCanvasRenderer';
+import { usePlayerTransport } from '../hooks/usePlayerTransport';
+import { useSyncedMedia } from '../hooks/useSyncedMedia';
+import { useCutPlayback } from '../hooks/useCutPlayback';
+import { normalizeCuts, applyCutsToDocument } from '../utils/cutEditing';
+import {
+    CAPTION_PRESETS,
+    DEFAULT_CAPTION_PRESET,
+    buildNarrationCues,
+    buildCaptionCues,
+    buildCaptionFacts
+} from '../utils/captions';
+import { collectBoundaries } from '../utils/transport';
+import { updateItem, insertItem, removeItem } from '../utils/editHistory';
+import EffectTimeline from './EffectTimeline';
+import BoundingBoxEditor from './BoundingBoxEditor';
+import EffectOverlay from './EffectOverlay';
+import PlayerControls from './PlayerControls';
+import CaptionOverlay from './CaptionOverlay';
+import HistoryPanel from './HistoryPanel';
+
+/** Stable empty list so memoized effect processing is not redone every render */
+const NO_EFFECTS = [];
 
 /**
  * VideoEffectPreview Component
  * Renders video with CSS-based effects driven by instruction file
- * Uses requestAnimationFrame for smooth, timeline-synchronized rendering
+ * Two renderers share the same zoom math:
+ * - 'css': requestAnimationFrame loop setting a CSS transform on the video layer
+ * - 'canvas': each decoded frame drawn to a canvas via requestVideoFrameCallback (frame-accurate)
  */
 const VideoEffectPreview = ({
     videoSrc,
     audioSrc,
     instructions,
-    frameWidth = 1280,
-    frameHeight = 720
+    frameWidth,
+    frameHeight,
+    renderer = 'css',
+    onDocumentChange
 }) => {
     const videoRef = useRef(null);
+    const canvasRef = useRef(null);
     const audioRef = useRef(null);
     const videoLayerRef = useRef(null);
+    const overlayLayerRef = useRef(null);
     const rafRef = useRef(null);
 
-    const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [duration, setDuration] = useState(0);
-    const [normalizedEffects, setNormalizedEffects] = useState([]);
     const [recordingDimensions, setRecordingDimensions] = useState(null);
     const [exportStatus, setExportStatus] = useState({ loading: false, error: null, success: null });
 
-    // Parse and normalize effects on mount
+    // Editable copy of the instruction file behind an undo/redo history;
+    // re-seeded when a new instruction file is passed in
+    const history = useEditHistory(instructions);
+    const [seededInstructions, setSeededInstructions] = useState(instructions);
+    const [selectedEffectIndex, setSelectedEffectIndex] = useState(null);
+    const [boxToolActive, setBoxToolActive] = useState(false);
+    const [rendererMode, setRendererMode] = useState(renderer);
+    const videoBox = useElementBox(videoRef);
+
+    if (instructions !== seededInstructions) {
+        setSeededInstructions(instructions);
+        history.reset(instructions);
+        setSelectedEffectIndex(null);
+    }
+
+    // Export and preview always read the head of the history
+    const displayEffects = history.document?.displayEffects || NO_EFFECTS;
+    const cuts = useMemo(() => normalizeCuts(history.document?.cuts), [history.document]);
+    const captionCues = useMemo(() => buildNarrationCues(history.document?.narrations), [history.document]);
+    // Burned-in caption style ('' = no captions)
+    const [captionPreset, setCaptionPreset] = useState(DEFAULT_CAPTION_PRESET);
+
+    // Let the page save the edited document (e.g. back out to a file)
+    const notifyDocumentChange = useEffectEvent((document) => onDocumentChange?.(document));
+
+    useEffect(() => {
+        notifyDocumentChange(history.document);
+    }, [history.document]);
+
+    // Undo can remove the selected effect, so the index may point past the end
+    const selectedEffect = selectedEffectIndex !== null ? displayEffects[selectedEffectIndex] ?? null : null;
+
+    // Read recording dimensions from video metadata
     useEffect(() => {
         console.log('[INIT] Instructions:', instructions);
         if (!instructions || !instructions.displayEffects) {
@@ -44,118 +121,149 @@ const VideoEffectPreview = ({
 
         console.log('[INIT] Found', instructions.displayEffects.length, 'display effects');
 
-        // Get recording dimensions from video metadata or use default
         const video = videoRef.current;
-        if (video) {
-            const handleMetadata = () => {
-                const recordingWidth = video.videoWidth;
-                const recordingHeight = video.videoHeight;
-
-                console.log('[INIT] Video metadata loaded:', recordingWidth, 'x', recordingHeight);
-                setRecordingDimensions({ recordingWidth, recordingHeight });
-
-                // Normalize all effect coordinates
-                const filtered = instructions.displayEffects
-                    .filter(effect => effect.target?.bounds && effect.style?.zoom?.enabled);
-
-                console.log('[INIT] Filtered to', filtered.length, 'zoom effects with bounds');
-
-                const normalized = filtered.map(effect => {
-                    // CRITICAL: Use actual video dimensions for normalization
-                    // NOT the preview frame size (frameWidth/frameHeight)
-                    // The bounding boxes are in recording coordinate space
-                    const normalizedBounds = normalizeCoordinates(
-                        effect.target.bounds,
-                        recordingWidth,
-                        recordingHeight,
-                        recordingWidth,  // Use video width, not frame width
-                        recordingHeight  // Use video height, not frame height
-                    );
-                    console.log('[INIT] Normalized effect:', effect.start, '-', effect.end, 's');
-                    console.log('  Bounds (recording space):', effect.target.bounds);
-                    console.log('  Center (video space):', normalizedBounds.centerX.toFixed(1), ',', normalizedBounds.centerY.toFixed(1));
-                    console.log('  Anchor (0-1 normalized):', normalizedBounds.anchorX.toFixed(3), ',', normalizedBounds.anchorY.toFixed(3));
-                    console.log('  AutoScale:', normalizedBounds.autoScale.toFixed(2),
-                        '(area:', (normalizedBounds.areaRatio * 100).toFixed(2) + '%,',
-                        'dominant:', (normalizedBounds.dominantRatio * 100).toFixed(2) + '%,',
-                        'effective:', (normalizedBounds.effectiveRatio * 100).toFixed(2) + '%)');
-                    return {
-                        ...effect,
-                        normalizedBounds
-                    };
-                });
-
-                console.log('[INIT] Total normalized effects:', normalized.length);
-                setNormalizedEffects(normalized);
-            };
+        if (!video) return;
 
-            video.addEventListener('loadedmetadata', handleMetadata);
+        const handleMetadata = () => {
+            const recordingWidth = video.videoWidth;
+            const recordingHeight = video.videoHeight;
 
-            // If metadata already loaded
-            if (video.readyState >= 1) {
-                console.log('[INIT] Video metadata already loaded, processing immediately');
-                handleMetadata();
-            }
+            console.log('[INIT] Video metadata loaded:', recordingWidth, 'x', recordingHeight);
+            setRecordingDimensions({ recordingWidth, recordingHeight });
+        };
+
+        video.addEventListener('loadedmetadata', handleMetadata);
+
+        // If metadata already loaded
+        if (video.readyState >= 1) {
+            console.log('[INIT] Video metadata already loaded, processing immediately');
+            handleMetadata();
         }
+
+        return () => {
+            video.removeEventListener('loadedmetadata', handleMetadata);
+        };
     }, [instructions, frameWidth, frameHeight]);
 
-    // Rendering loop using requestAnimationFrame
+    // Normalize effect coordinates whenever the effects or recording size change,
+    // so timeline edits are picked up by the rendering loop without a reload
+    const normalizedEffects = useMemo(() => {
+        if (!recordingDimensions) return [];
+
+        const { recordingWidth, recordingHeight } = recordingDimensions;
+
+        return displayEffects
+            .filter(effect => effect.target?.bounds && hasTransformPreview(effect))
+            .map(effect => {
+                // CRITICAL: Use actual video dimensions for normalization
+                // NOT the preview frame size (frameWidth/frameHeight)
+                // The bounding boxes are in recording coordinate space
+                const normalizedBounds = normalizeCoordinates(
+                    effect.target.bounds,
+                    recordingWidth,
+                    recordingHeight,
+                    recordingWidth,  // Use video width, not frame width
+                    recordingHeight  // Use video height, not frame height
+                );
+                console.log('[INIT] Normalized effect:', effect.start, '-', effect.end, 's');
+                console.log('  Bounds (recording space):', effect.target.bounds);
+                console.log('  Center (video space):', normalizedBounds.centerX.toFixed(1), ',', normalizedBounds.centerY.toFixed(1));
+                console.log('  Anchor (0-1 normalized):', normalizedBounds.anchorX.toFixed(3), ',', normalizedBounds.anchorY.toFixed(3));
+                console.log('  AutoScale:', normalizedBounds.autoScale.toFixed(2),
+                    '(area:', (normalizedBounds.areaRatio * 100).toFixed(2) + '%,',
+                    'dominant:', (normalizedBounds.dominantRatio * 100).toFixed(2) + '%,',
+                    'effective:', (normalizedBounds.effectiveRatio * 100).toFixed(2) + '%)');
+                return {
+                    ...effect,
+                    normalizedBounds
+                };
+            });
+    }, [displayEffects, recordingDimensions]);
+
+    // Zoom state for a timestamp; boxes are drawn against the unzoomed frame
+    const getPreviewTransform = useCallback((time) => {
+        if (boxToolActive) return null;
+        return computePreviewTransform(normalizedEffects, time);
+    }, [normalizedEffects, boxToolActive]);
+
+    useCanvasRenderer({
+        enabled: rendererMode === 'canvas',
+        videoRef,
+        canvasRef,
+        overlayLayerRef,
+        box: videoBox,
+        recordingDimensions,
+        getTransform: getPreviewTransform,
+        onFrame: setCurrentTime
+    });
+
+    // Rendering loop using requestAnimationFrame (CSS renderer)
     useEffect(() => {
         const video = videoRef.current;
         if (!video) return;
 
+        // The canvas renderer draws its own frames; keep the video element untransformed
+        if (rendererMode !== 'css') {
+            if (videoLayerRef.current) videoLayerRef.current.style.transform = '';
+            return;
+        }
+
         console.log('[RAF] Setting up rendering loop, normalizedEffects:', normalizedEffects.length);
 
-        const renderFrame = () => {
-            const currentTime = video.currentTime;
-            setCurrentTime(currentTime);
+        // Both renderers apply getLayerTransform around the top-left corner; any other origin
+        // would frame zooms differently from the canvas renderer
+        if (import.meta.env.DEV && videoLayerRef.current) {
+            const origin = getComputedStyle(videoLayerRef.current).transformOrigin;
+            if (origin !== '0px 0px') {
+                console.warn(`[RAF] .video-layer transform-origin is "${origin}", expected top-left: CSS and canvas renderers will not match`);
+            }
+        }
 
-            // Get active effects at current time
-            const activeEffects = getActiveEffects(normalizedEffects, currentTime);
-
-            console.log(`[RAF] t=${currentTime.toFixed(2)}s, activeEffects=${activeEffects.length}, normalized=${normalizedEffects.length}`);
-
-            if (activeEffects.length > 0 && videoLayerRef.current) {
-                // Use deterministic resolver for overlapping effects
-                const effect = resolveZoomEffect(activeEffects);
-
-                if (effect) {
-                    const { centerX, centerY, anchorX, anchorY, autoScale, effectiveRatio, dominantRatio } = effect.normalizedBounds;
-                    // Use auto-calculated scale based on bounding box size
-                    // Fallback to manual scale if autoScale not available
-                    const targetScale = autoScale || effect.style.zoom.scale;
-
-                    // Compute progress with easing
-                    const progress = computeEffectProgress(
-                        currentTime,
-                        effect.start,
-                        effect.end,
-                        0.25, // 25% ease-in
-                        0.25  // 25% ease-out
-                    );
-
-                    console.log(`[ZOOM] Effect: ${effect.start}-${effect.end}s, progress=${progress.toFixed(3)}`);
-                    console.log(`  Scale: ${targetScale.toFixed(2)}x (effective: ${(effectiveRatio * 100).toFixed(2)}%, dominant: ${(dominantRatio * 100).toFixed(2)}%)`);
-                    console.log(`  Anchor: (${anchorX.toFixed(3)}, ${anchorY.toFixed(3)})`);
-
-                    // Calculate zoom transform
-                    const { scale, translateX, translateY } = calculateZoomTransform(
-                        progress,
-                        centerX,
-                        centerY,
-                        targetScale
-                    );
-
-                    console.log(`[TRANSFORM] scale=${scale.toFixed(3)}, tx=${translateX.toFixed(1)}, ty=${translateY.toFixed(1)}`);
-
-                    // Apply CSS transform
-                    const transformString = buildTransformString(translateX, translateY, scale);
-                    videoLayerRef.current.style.transform = transformString;
-                }
-            } else if (videoLayerRef.current) {
+        // The effect overlay shares the video transform so dims and outlines stay on target
+        const setLayerTransform = (transformString) => {
+            for (const layer of [videoLayerRef.current, overlayLayerRef.current]) {
+                if (layer) layer.style.transform = transformString;
+            }
+        };
+
+        // Apply the zoom state for a given timestamp to the video layer
+        const applyEffects = (currentTime) => {
+            // Boxes are drawn against the unzoomed frame, so hold the layer still while editing
+            if (boxToolActive) {
+                setLayerTransform('translate(0px, 0px) scale(1)');
+                return;
+            }
+
+            // Dispatch through the effect registry (latest-starting transform effect wins)
+            const preview = computePreviewTransform(normalizedEffects, currentTime);
+
+            console.log(`[RAF] t=${currentTime.toFixed(2)}s, transformEffect=${preview ? 'yes' : 'no'}, normalized=${normalizedEffects.length}`);
+
+            if (preview) {
+                const { effect, scale, translateX, translateY } = preview;
+                const { anchorX, anchorY, effectiveRatio, dominantRatio } = effect.normalizedBounds;
+
+                console.log(`[ZOOM] Effect: ${effect.start}-${effect.end}s`);
+                console.log(`  Scale: ${scale.toFixed(2)}x (effective: ${(effectiveRatio * 100).toFixed(2)}%, dominant: ${(dominantRatio * 100).toFixed(2)}%)`);
+                console.log(`  Anchor: (${anchorX.toFixed(3)}, ${anchorY.toFixed(3)})`);
+                console.log(`[TRANSFORM] scale=${scale.toFixed(3)}, tx=${translateX.toFixed(1)}, ty=${translateY.toFixed(1)}`);
+
+                // Apply CSS transform, mapped to the displayed picture like the canvas renderer
+                const { videoWidth, videoHeight } = video;
+                const contentRect = getContainedVideoRect(video.offsetWidth, video.offsetHeight, videoWidth, videoHeight);
+                const layer = getLayerTransform(preview, contentRect, videoWidth, videoHeight);
+                setLayerTransform(buildTransformString(layer.translateX, layer.translateY, layer.scale));
+            } else {
                 // Reset to identity transform (not 'none') for GPU stability
-                videoLayerRef.current.style.transform = 'translate(0px, 0px) scale(1)';
+                setLayerTransform('translate(0px, 0px) scale(1)');
             }
+        };
+
+        const renderFrame = () => {
+            // Media time, not wall-clock time, so effects stay aligned at any playback speed
+            const currentTime = video.currentTime;
+            setCurrentTime(currentTime);
+            applyEffects(currentTime);
 
             // Continue loop if playing
             if (!video.paused && !video.ended) {
@@ -180,106 +288,153 @@ const VideoEffectPreview = ({
             }
         };
 
+        // Keep the playhead and zoom state current while scrubbing a paused video
+        const handleSeeked = () => {
+            setCurrentTime(video.currentTime);
+            applyEffects(video.currentTime);
+        };
+
         video.addEventListener('play', handlePlay);
         video.addEventListener('pause', handlePause);
+        video.addEventListener('seeked', handleSeeked);
 
-        // Start rendering loop if video is already playing
+        // Start rendering loop if video is already playing,
+        // otherwise redraw the paused frame so timeline edits show up immediately
         if (!video.paused && !video.ended) {
             console.log('[RAF] Video already playing - starting RAF loop');
             rafRef.current = requestAnimationFrame(renderFrame);
+        } else {
+            applyEffects(video.currentTime);
         }
 
         return () => {
             video.removeEventListener('play', handlePlay);
             video.removeEventListener('pause', handlePause);
+            video.removeEventListener('seeked', handleSeeked);
             if (rafRef.current) {
                 cancelAnimationFrame(rafRef.current);
             }
         };
-    }, [normalizedEffects]);
-
-    // Sync audio with video
-    useEffect(() => {
-        const video = videoRef.current;
-        const audio = audioRef.current;
-
-        if (!video || !audio) return;
-
-        const syncAudio = () => {
-            // Sync audio currentTime with video
-            if (Math.abs(audio.currentTime - video.currentTime) > 0.1) {
-                audio.currentTime = video.currentTime;
-            }
-        };
+    }, [normalizedEffects, boxToolActive, rendererMode]);
 
-        const handlePlay = () => {
-            setIsPlaying(true);
-            audio.play().catch(err => console.warn('Audio play failed:', err));
-        };
+    // Separate narration audio follows the video clock with drift correction
+    useSyncedMedia({ videoRef, audioRefs: [audioRef], sourceKey: audioSrc });
 
-        const handlePause = () => {
-            setIsPlaying(false);
-            audio.pause();
-        };
+    // Removed ranges of a text-based edit are skipped during playback
+    useCutPlayback({ videoRef, cuts, sourceKey: videoSrc });
 
-        const handleSeeking = () => {
-            syncAudio();
-        };
+    // Duration follows the loaded video
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
 
         const handleLoadedMetadata = () => {
             setDuration(video.duration);
         };
 
-        video.addEventListener('play', handlePlay);
-        video.addEventListener('pause', handlePause);
-        video.addEventListener('seeking', handleSeeking);
         video.addEventListener('loadedmetadata', handleLoadedMetadata);
-        video.addEventListener('timeupdate', syncAudio);
 
         return () => {
-            video.removeEventListener('play', handlePlay);
-            video.removeEventListener('pause', handlePause);
-            video.removeEventListener('seeking', handleSeeking);
             video.removeEventListener('loadedmetadata', handleLoadedMetadata);
-            video.removeEventListener('timeupdate', syncAudio);
         };
     }, []);
 
-    const handlePlayPause = () => {
-        const video = videoRef.current;
-        if (!video) return;
+    // Edit points for boundary jumps and scrub-bar ticks
+    const boundaries = useMemo(
+        () => collectBoundaries(displayEffects, instructions?.narrations),
+        [displayEffects, instructions]
+    );
 
-        if (video.paused) {
-            video.play();
-        } else {
-            video.pause();
-        }
+    const transport = usePlayerTransport({
+        videoRef,
+        syncedMediaRefs: [audioRef],
+        duration,
+        boundaries
+    });
+
+    const handleEffectChange = (index, updated, label = `Edit effect ${index + 1}`, mergeKey = null) => {
+        history.execute(updateItem('displayEffects', index, displayEffects[index], updated, label, mergeKey));
     };
 
-    const handleSeek = (e) => {
-        const video = videoRef.current;
-        const audio = audioRef.current;
-        if (!video) return;
+    // Timeline drags emit every pointer move; merge them into one history entry per gesture
+    const handleTimelineChange = (index, updated) => {
+        handleEffectChange(index, updated, `Retime effect ${index + 1}`, `timing:${index}`);
+    };
+
+    const handleEffectCreate = (time) => {
+        if (!recordingDimensions || !duration) return;
 
-        const seekTime = parseFloat(e.target.value);
-        video.currentTime = seekTime;
+        const effect = createZoomEffect(time, recordingDimensions, duration);
+        console.log('[TIMELINE] Created effect:', effect.start, '-', effect.end, 's');
 
-        // Sync audio immediately during scrubbing
-        if (audio) {
-            audio.currentTime = seekTime;
+        history.execute(insertItem('displayEffects', displayEffects.length, effect, 'Add effect'));
+        setSelectedEffectIndex(displayEffects.length);
+    };
+
+    // Box tool result: retarget the selected effect, or create one at the playhead
+    const handleBoundsChange = (bounds) => {
+        if (selectedEffect) {
+            handleEffectChange(
+                selectedEffectIndex,
+                { ...selectedEffect, target: { ...selectedEffect.target, bounds } },
+                `Retarget effect ${selectedEffectIndex + 1}`
+            );
+            return;
         }
+
+        if (!recordingDimensions || !duration) return;
+
+        const effect = createZoomEffect(currentTime, recordingDimensions, duration, bounds);
+        history.execute(insertItem('displayEffects', displayEffects.length, effect, 'Draw effect'));
+        setSelectedEffectIndex(displayEffects.length);
+    };
+
+    const handleEffectKindChange = (kind) => {
+        if (!selectedEffect) return;
+        handleEffectChange(
+            selectedEffectIndex,
+            changeEffectKind(selectedEffect, kind),
+            `Change effect ${selectedEffectIndex + 1} to ${kind}`
+        );
+    };
+
+    const handleBlurIntensityChange = (intensity) => {
+        if (!selectedEffect) return;
+        handleEffectChange(
+            selectedEffectIndex,
+            {
+                ...selectedEffect,
+                style: { ...selectedEffect.style, blur: { ...selectedEffect.style.blur, intensity } }
+            },
+            `Set effect ${selectedEffectIndex + 1} blur intensity`,
+            `intensity:${selectedEffectIndex}`
+        );
+    };
+
+    const handleEffectDelete = () => {
+        if (!selectedEffect) return;
+
+        history.execute(removeItem(
+            'displayEffects',
+            selectedEffectIndex,
+            selectedEffect,
+            `Delete effect ${selectedEffectIndex + 1}`
+        ));
+        setSelectedEffectIndex(null);
     };
 
     /**
      * Handle export to backend
-     * Generates pure instructions (bounding box + time only) and sends to Go backend
+     * Generates pure instructions (bounding box + time only) and sends to Go backend.
+     * Like exportVideo, cuts go out in source time and every other time follows the cut video,
+     * so the render matches the preview that skips them.
      */
     const handleExport = async () => {
         console.log('[EXPORT] Starting export...');
         console.log('[EXPORT] recordingDimensions:', recordingDimensions);
         console.log('[EXPORT] instructions:', instructions);
 
-        if (!instructions?.displayEffects?.length) {
+        if (!displayEffects.length) {
             setExportStatus({ loading: false, error: 'No effects to export', success: null });
             return;
         }
@@ -307,7 +462,9 @@ const VideoEffectPreview = ({
                 height: recordingDimensions.recordingHeight
             };
 
-            const pureInstructions = generateZoomInstructions(instructions.displayEffects, frameSize);
+            const output = applyCutsToDocument(history.document);
+            const pureInstructions = generateInstructions(output.displayEffects || [], frameSize);
+            const cutInstructions = cuts.map(generateCutInstruction);
 
             console.log('[EXPORT] Generated', pureInstructions.length, 'instructions');
 
@@ -316,13 +473,13 @@ const VideoEffectPreview = ({
                 const instruction = pureInstructions[i];
 
                 // Validate required fields
-                const validation = validateZoomInstruction(instruction);
+                const validation = validateInstruction(instruction);
                 if (!validation.valid) {
                     throw new Error(`Instruction ${i + 1} validation failed: ${validation.errors.join(', ')}`);
                 }
 
                 // Check purity (no forbidden fields)
-                const purity = checkInstructionPurity(instruction);
+                const purity = checkRegisteredInstructionPurity(instruction);
                 if (!purity.clean) {
                     throw new Error(`Instruction ${i + 1} contains forbidden fields: ${purity.violations.join(', ')}`);
                 }
@@ -330,8 +487,18 @@ const VideoEffectPreview = ({
                 console.log('[EXPORT] Instruction', i + 1, 'validated:', instruction);
             }
 
+            cutInstructions.forEach((instruction, i) => {
+                const validation = validateCutInstruction(instruction);
+                if (!validation.valid) {
+                    throw new Error(`Cut ${i + 1} validation failed: ${validation.errors.join(', ')}`);
+                }
+            });
+
             // Submit to backend
-            const response = await submitBatchZoomInstructions(pureInstructions);
+            const response = await submitBatchZoomInstructions(pureInstructions, {
+                cuts: cutInstructions,
+                captions: buildCaptionFacts(buildCaptionCues(history.document, 'narrations'), captionPreset)
+            });
 
             console.log('[EXPORT] Backend response:', response);
             setExportStatus({ loading: false, error: null, success: response });
@@ -342,12 +509,6 @@ const VideoEffectPreview = ({
         }
     };
 
-    const formatTime = (seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    };
-
     return (
         <div className="">
             {/* Wrapper to center the video frame */}
@@ -361,12 +522,63 @@ const VideoEffectPreview = ({
                                 videoRef.current = el;
                                 videoLayerRef.current = el;
                             }}
-                            className="video-layer"
+                            className={`video-layer${rendererMode === 'canvas' ? ' canvas-source' : ''}`}
                             src={videoSrc}
                             preload="metadata"
                         >
                             <source src={videoSrc} type="video/webm" />
                         </video>
+
+                        {rendererMode === 'canvas' && (
+                            <canvas
+                                ref={canvasRef}
+                                className="video-canvas-layer"
+                                style={{
+                                    left: `${videoBox.left}px`,
+                                    top: `${videoBox.top}px`,
+                                    width: `${videoBox.width}px`,
+                                    height: `${videoBox.height}px`
+                                }}
+                            />
+                        )}
+
+                        {!boxToolActive && (
+                            <EffectOverlay
+                                effects={displayEffects}
+                                currentTime={currentTime}
+                                recordingDimensions={recordingDimensions}
+                                layerRef={overlayLayerRef}
+                                style={{
+                                    left: `${videoBox.left}px`,
+                                    top: `${videoBox.top}px`,
+                                    width: `${videoBox.width}px`,
+                                    height: `${videoBox.height}px`
+                                }}
+                            />
+                        )}
+
+                        {/* Outside the video layer's transform: captions do not zoom with the picture */}
+                        <CaptionOverlay
+                            cues={captionCues}
+                            currentTime={currentTime}
+                            preset={captionPreset}
+                            recordingDimensions={recordingDimensions}
+                            style={{
+                                left: `${videoBox.left}px`,
+                                top: `${videoBox.top}px`,
+                                width: `${videoBox.width}px`,
+                                height: `${videoBox.height}px`
+                            }}
+                        />
+
+                        {boxToolActive && (
+                            <BoundingBoxEditor
+                                bounds={selectedEffect?.target?.bounds || null}
+                                recordingDimensions={recordingDimensions}
+                                box={videoBox}
+                                onChange={handleBoundsChange}
+                            />
+                        )}
                     </div>
                 </div>
             </div>
@@ -374,39 +586,111 @@ const VideoEffectPreview = ({
 
             {/* Hidden audio element */}
             {audioSrc && (
-                <audio ref={audioRef} className="audio-track" preload="metadata">
+                <audio key={audioSrc} ref={audioRef} className="audio-track" preload="metadata">
                     <source src={audioSrc} type="audio/webm" />
                 </audio>
             )}
 
             {/* Playback controls */}
             <div className="video-controls">
-                <button onClick={handlePlayPause} className="control-button">
-                    {isPlaying ? '⏸ Pause' : '▶ Play'}
-                </button>
-
-                <button
-                    onClick={handleExport}
-                    className="control-button export-button"
-                    disabled={exportStatus.loading || !instructions?.displayEffects?.length}
-                >
-                    {exportStatus.loading ? '⏳ Exporting...' : '📤 Export to Backend'}
-                </button>
-
-                <div className="timeline-container">
-                    <span className="time-display">{formatTime(currentTime)}</span>
-                    <input
-                        type="range"
-                        min="0"
-                        max={duration || 0}
-                        step="0.1"
-                        value={currentTime}
-                        onChange={handleSeek}
-                        className="timeline-slider"
-                    />
-                    <span className="time-display">{formatTime(duration)}</span>
+                <PlayerControls
+                    transport={transport}
+                    currentTime={currentTime}
+                    duration={duration}
+                    boundaries={boundaries}
+                />
+
+                <div className="video-actions">
+                    <button
+                        onClick={handleExport}
+                        className="control-button export-button"
+                        disabled={exportStatus.loading || !displayEffects.length}
+                    >
+                        {exportStatus.loading ? '⏳ Exporting...' : '📤 Export to Backend'}
+                    </button>
+
+                    <label className="renderer-select">
+                        Renderer
+                        <select value={rendererMode} onChange={(e) => setRendererMode(e.target.value)}>
+                            <option value="css">CSS transform</option>
+                            <option value="canvas">Canvas (frame-accurate)</option>
+                        </select>
+                    </label>
+
+                    <label className="renderer-select">
+                        Captions
+                        <select value={captionPreset} onChange={(e) => setCaptionPreset(e.target.value)}>
+                            <option value="">Off</option>
+                            {Object.entries(CAPTION_PRESETS).map(([key, preset]) => (
+                                <option key={key} value={key}>{preset.label}</option>
+                            ))}
+                        </select>
+                    </label>
                 </div>
 
+                {/* Editable effect lane */}
+                <EffectTimeline
+                    effects={displayEffects}
+                    duration={duration}
+                    currentTime={currentTime}
+                    selectedIndex={selectedEffectIndex}
+                    onSelect={setSelectedEffectIndex}
+                    onChange={handleTimelineChange}
+                    onCreate={handleEffectCreate}
+                />
+
+                <div className="effect-inspector">
+                    <button
+                        onClick={() => setBoxToolActive(active => !active)}
+                        className={`effect-inspector-button${boxToolActive ? ' active' : ''}`}
+                        disabled={!recordingDimensions}
+                    >
+                        {boxToolActive ? '✔ Done Drawing' : '▭ Draw Box'}
+                    </button>
+                    {selectedEffect ? (
+                        <>
+                            <span>
+                                Effect {selectedEffectIndex + 1} ({selectedEffect.type || 'effect'}):{' '}
+                                {selectedEffect.start.toFixed(2)}s - {selectedEffect.end.toFixed(2)}s
+                            </span>
+                            <select
+                                value={getEffectKind(selectedEffect) || ''}
+                                onChange={(e) => handleEffectKindChange(e.target.value)}
+                                className="effect-inspector-select"
+                            >
+                                {!getEffectKind(selectedEffect) && <option value="">Custom</option>}
+                                {getEditableEffectTypes().map(definition => (
+                                    <option key={definition.type} value={definition.type}>
+                                        {definition.editor.label}
+                                    </option>
+                                ))}
+                            </select>
+                            {selectedEffect.style?.blur?.enabled && (
+                                <label className="effect-inspector-field">
+                                    Intensity
+                                    <input
+                                        type="range"
+                                        min={MIN_BLUR_INTENSITY}
+                                        max={MAX_BLUR_INTENSITY}
+                                        step="1"
+                                        value={selectedEffect.style.blur.intensity ?? DEFAULT_BLUR_INTENSITY}
+                                        onChange={(e) => handleBlurIntensityChange(parseInt(e.target.value, 10))}
+                                    />
+                                </label>
+                            )}
+                            <button onClick={handleEffectDelete} className="effect-inspector-button">
+                                🗑 Delete
+                            </button>
+                        </>
+                    ) : (
+                        <span>
+                            {boxToolActive ? 'Draw a box to add an effect at the playhead' : 'No effect selected'}
+                        </span>
+                    )}
+                </div>
+
+                <HistoryPanel history={history} />
+
                 {/* Export Status */}
                 {exportStatus.error && (
                     <div className="export-status error">
@@ -427,8 +711,10 @@ const VideoEffectPreview = ({
                 <p>Normalized Effects: {normalizedEffects.length}</p>
                 <p>Active Effects: {getActiveEffects(normalizedEffects, currentTime).length}</p>
                 <p>Recording: {recordingDimensions ? `${recordingDimensions.recordingWidth}x${recordingDimensions.recordingHeight}` : 'Loading...'}</p>
-                <p>Frame: {frameWidth}x{frameHeight}</p>
-                <p>Video Playing: {isPlaying ? 'Yes' : 'No'}</p>
+                <p>Frame: {frameWidth && frameHeight ? `${frameWidth}x${frameHeight}` : 'From video'}</p>
+                <p>Renderer: {rendererMode}</p>
+                <p>Video Playing: {transport.isPlaying ? 'Yes' : 'No'}</p>
+                <p>Frame Rate: {transport.frameRate} fps</p>
                 <p>Video Element: {videoLayerRef.current ? 'Ready' : 'Not Ready'}</p>
                 {normalizedEffects.length > 0 && (
                     <div style={{ marginTop: '10px', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '10px' }}>
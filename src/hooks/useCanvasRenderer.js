@@ -0,0 +1,130 @@
+import { useEffect } from 'react';
+import {
+    getContainedVideoRect,
+    getZoomedContentRect,
+    getLayerTransform,
+    buildTransformString
+} from '../utils/effectProcessor';
+
+/**
+ * Custom hook that draws the video to a canvas, one decoded frame at a time
+ * Each frame is drawn with the zoom state for that frame's own media timestamp
+ * (requestVideoFrameCallback), so paused frames, scrubbing and frame stepping match
+ * the preview exactly. Falls back to requestAnimationFrame + seeked where unsupported.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the canvas renderer is active
+ * @param {Object} options.videoRef - Ref of the (visually hidden) source video element
+ * @param {Object} options.canvasRef - Ref of the canvas covering the video box
+ * @param {Object} [options.overlayLayerRef] - Ref of the effect overlay, kept aligned with the zoom
+ * @param {Object} options.box - Video element box {left, top, width, height} (useElementBox)
+ * @param {Object} options.recordingDimensions - { recordingWidth, recordingHeight }
+ * @param {Function} options.getTransform - (time) => {scale, translateX, translateY} or null
+ * @param {Function} [options.onFrame] - (time) => void, called after each drawn frame
+ */
+export function useCanvasRenderer({
+    enabled,
+    videoRef,
+    canvasRef,
+    overlayLayerRef,
+    box,
+    recordingDimensions,
+    getTransform,
+    onFrame
+}) {
+    const { width: boxWidth, height: boxHeight } = box;
+
+    useEffect(() => {
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+
+        if (!enabled || !video || !canvas || !recordingDimensions || !boxWidth || !boxHeight) return;
+
+        const { recordingWidth, recordingHeight } = recordingDimensions;
+        const contentRect = getContainedVideoRect(boxWidth, boxHeight, recordingWidth, recordingHeight);
+
+        // Back the canvas with device pixels so zoomed frames stay sharp
+        const pixelRatio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(boxWidth * pixelRatio);
+        canvas.height = Math.round(boxHeight * pixelRatio);
+        const ctx = canvas.getContext('2d');
+        let styledOverlay = null;
+
+        const draw = (time) => {
+            const transform = getTransform(time);
+            const zoomed = getZoomedContentRect(transform, contentRect, recordingWidth, recordingHeight);
+
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            ctx.clearRect(0, 0, boxWidth, boxHeight);
+
+            // HAVE_CURRENT_DATA: a decoded frame is available
+            if (video.readyState >= 2) {
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(contentRect.x, contentRect.y, contentRect.width, contentRect.height);
+                ctx.clip();
+                ctx.drawImage(video, zoomed.x, zoomed.y, zoomed.width, zoomed.height);
+                ctx.restore();
+            }
+
+            // Same mapping for the overlay, as the CSS renderer would apply it
+            const overlay = overlayLayerRef?.current;
+            if (overlay) {
+                styledOverlay = overlay;
+                const layer = getLayerTransform(transform, contentRect, recordingWidth, recordingHeight);
+                overlay.style.transform = buildTransformString(layer.translateX, layer.translateY, layer.scale);
+            }
+
+            if (onFrame) onFrame(time);
+        };
+
+        const supportsFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+        let handle = null;
+
+        const scheduleFrame = () => {
+            handle = video.requestVideoFrameCallback((now, metadata) => {
+                draw(metadata.mediaTime);
+                scheduleFrame();
+            });
+        };
+
+        const scheduleAnimationFrame = () => {
+            handle = requestAnimationFrame(() => {
+                draw(video.currentTime);
+                handle = null;
+                if (!video.paused && !video.ended) scheduleAnimationFrame();
+            });
+        };
+
+        const handlePlay = () => {
+            if (handle === null) scheduleAnimationFrame();
+        };
+
+        const handleSeeked = () => draw(video.currentTime);
+
+        if (supportsFrameCallback) {
+            // Fires for every presented frame: playback, seeks and steps while paused
+            scheduleFrame();
+        } else {
+            console.warn('[CANVAS] requestVideoFrameCallback unsupported, falling back to requestAnimationFrame');
+            video.addEventListener('play', handlePlay);
+            video.addEventListener('seeked', handleSeeked);
+            if (!video.paused && !video.ended) scheduleAnimationFrame();
+        }
+
+        // Redraw the current frame right away so edits and resizes show up while paused
+        draw(video.currentTime);
+
+        return () => {
+            if (supportsFrameCallback) {
+                video.cancelVideoFrameCallback(handle);
+            } else {
+                video.removeEventListener('play', handlePlay);
+                video.removeEventListener('seeked', handleSeeked);
+                if (handle !== null) cancelAnimationFrame(handle);
+            }
+
+            if (styledOverlay) styledOverlay.style.transform = '';
+        };
+    }, [enabled, videoRef, canvasRef, overlayLayerRef, boxWidth, boxHeight, recordingDimensions, getTransform, onFrame]);
+}
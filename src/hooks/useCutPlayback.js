@@ -0,0 +1,57 @@
+import { useEffect, useEffectEvent } from 'react';
+import { findCutAt } from '../utils/cutEditing';
+
+/**
+ * Custom hook skipping cut ranges while a video plays
+ * Checked every animation frame so a cut is jumped within a frame of reaching it; synced audio
+ * follows the jump through its seek handling (useSyncedMedia). Paused seeks into a cut are left
+ * alone so removed footage can still be inspected.
+ *
+ * @param {Object} options
+ * @param {Object} options.videoRef - Ref of the video element
+ * @param {Array<Object>} options.cuts - Normalized cuts ({ start, end } in seconds)
+ * @param {*} [options.sourceKey] - Changes when the video element or its source is swapped
+ */
+export function useCutPlayback({ videoRef, cuts, sourceKey = null }) {
+    const getCuts = useEffectEvent(() => cuts);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        let frame = null;
+
+        const skipCut = () => {
+            const cut = !video.seeking && findCutAt(getCuts(), video.currentTime);
+            if (cut) {
+                console.log(`[Cuts] Skipping ${cut.start.toFixed(2)}s - ${cut.end.toFixed(2)}s`);
+                video.currentTime = Math.min(cut.end, video.duration || cut.end);
+            }
+
+            if (!video.paused && !video.ended) {
+                frame = requestAnimationFrame(skipCut);
+            }
+        };
+
+        const handlePlay = () => {
+            cancelAnimationFrame(frame);
+            frame = requestAnimationFrame(skipCut);
+        };
+
+        const handlePause = () => {
+            cancelAnimationFrame(frame);
+            frame = null;
+        };
+
+        video.addEventListener('play', handlePlay);
+        video.addEventListener('pause', handlePause);
+
+        if (!video.paused && !video.ended) handlePlay();
+
+        return () => {
+            cancelAnimationFrame(frame);
+            video.removeEventListener('play', handlePlay);
+            video.removeEventListener('pause', handlePause);
+        };
+    }, [videoRef, sourceKey]);
+}
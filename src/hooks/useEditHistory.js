@@ -0,0 +1,58 @@
+import { useReducer, useEffect, useEffectEvent, useCallback } from 'react';
+import { historyReducer, createHistory } from '../utils/editHistory';
+import { isTypingTarget } from '../utils/keyboard';
+
+/**
+ * Custom hook holding the session document behind a command-based undo/redo history
+ * Ctrl+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes (Cmd on macOS); text fields keep native undo.
+ *
+ * @param {Object|null} initialDocument - Session document ({ displayEffects, narrations, instructions, ... })
+ * @param {Object} [options]
+ * @param {boolean} [options.keyboard] - Listen for undo/redo shortcuts on the window
+ * @returns {Object} { document, execute, undo, redo, jumpTo, reset, canUndo, canRedo, entries, position, dropped }
+ */
+export function useEditHistory(initialDocument, { keyboard = true } = {}) {
+    const [state, dispatch] = useReducer(historyReducer, initialDocument, createHistory);
+
+    // Stable actions so callers can list them as effect dependencies
+    const execute = useCallback((command) => dispatch({ type: 'execute', command, time: Date.now() }), []);
+    const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+    const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+    const jumpTo = useCallback((position) => dispatch({ type: 'jump', position }), []);
+    const reset = useCallback((document) => dispatch({ type: 'reset', document }), []);
+
+    const handleKeyDown = useEffectEvent((e) => {
+        if (!(e.ctrlKey || e.metaKey) || isTypingTarget(e)) return;
+
+        if (e.code === 'KeyZ' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((e.code === 'KeyZ' && e.shiftKey) || e.code === 'KeyY') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    useEffect(() => {
+        if (!keyboard) return;
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [keyboard]);
+
+    return {
+        document: state.document,
+        execute,
+        undo,
+        redo,
+        jumpTo,
+        reset,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0,
+        // Applied commands followed by undone ones; position = number applied
+        entries: [...state.past, ...state.future].map(command => command.label),
+        position: state.past.length,
+        // Oldest edits trimmed off the history; position 0 is then not the original document
+        dropped: state.dropped
+    };
+}
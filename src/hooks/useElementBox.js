@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook that tracks an element's offset box inside its positioned parent
+ * @param {Object} ref - React ref pointing at the element to observe
+ * @returns {Object} Box {left, top, width, height} in CSS pixels
+ */
+export function useElementBox(ref) {
+    const [box, setBox] = useState({ left: 0, top: 0, width: 0, height: 0 });
+
+    useEffect(() => {
+        const element = ref.current;
+        if (!element) return;
+
+        const measure = () => {
+            setBox({
+                left: element.offsetLeft,
+                top: element.offsetTop,
+                width: element.offsetWidth,
+                height: element.offsetHeight
+            });
+        };
+
+        const observer = new ResizeObserver(measure);
+        observer.observe(element);
+
+        // Intrinsic size arrives with metadata, which can change the box without a resize
+        element.addEventListener('loadedmetadata', measure);
+
+        return () => {
+            observer.disconnect();
+            element.removeEventListener('loadedmetadata', measure);
+        };
+    }, [ref]);
+
+    return box;
+}
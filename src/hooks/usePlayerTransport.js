@@ -0,0 +1,310 @@
+import { useState, useEffect, useEffectEvent } from 'react';
+import {
+    DEFAULT_FRAME_RATE,
+    snapFrameRate,
+    stepFrameTime,
+    findAdjacentBoundary,
+    nextShuttleRate
+} from '../utils/transport';
+import { isTypingTarget } from '../utils/keyboard';
+
+/** Presented-frame intervals collected before the frame rate is trusted */
+const FRAME_RATE_SAMPLES = 12;
+
+/**
+ * Custom hook behind the shared PlayerControls: play state, playback speed, J/K/L shuttle, frame stepping
+ * at the detected frame rate, edit-point jumps, in/out markers, volume and keyboard shortcuts.
+ * The video element is the clock and the only element driven here; separate audio follows it
+ * through useSyncedMedia, and shares playback rate, volume and mute through syncedMediaRefs.
+ * Every rate change goes to all media elements with preservesPitch, so speech stays natural at 1.5x/2x.
+ *
+ * Shortcuts: Space play/pause · J/K/L shuttle · ←/→ frame step (Shift: 1s) ·
+ * ↑/↓ previous/next boundary · I/O set in/out · Shift+I/O go to in/out · Alt+X clear markers ·
+ * Home/End start/end
+ *
+ * @param {Object} options
+ * @param {Object} options.videoRef - Ref of the video element driving playback
+ * @param {Array<Object>} [options.syncedMediaRefs] - Refs of media elements sharing rate, volume and mute
+ * @param {number} options.duration - Media duration in seconds
+ * @param {Array<number>} [options.boundaries] - Sorted edit points (see collectBoundaries)
+ * @param {boolean} [options.keyboard] - Listen for keyboard shortcuts on the window
+ * @returns {Object} Transport state and actions
+ */
+export function usePlayerTransport({
+    videoRef,
+    syncedMediaRefs = [],
+    duration,
+    boundaries = [],
+    keyboard = true
+}) {
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [shuttleRate, setShuttleRate] = useState(0);
+    const [speed, setSpeedState] = useState(1);
+    const [frameRate, setFrameRate] = useState(DEFAULT_FRAME_RATE);
+    const [markers, setMarkers] = useState({ in: null, out: null });
+    const [volume, setVolumeState] = useState(1);
+    const [muted, setMuted] = useState(false);
+
+    const getSyncedMedia = () => syncedMediaRefs.map(ref => ref.current).filter(Boolean);
+    const getAllMedia = () => [videoRef.current, ...getSyncedMedia()].filter(Boolean);
+
+    const setPlaybackRate = (rate) => {
+        for (const media of getAllMedia()) {
+            media.preservesPitch = true;
+            media.playbackRate = rate;
+        }
+    };
+
+    const play = () => {
+        videoRef.current?.play().catch(err => console.error('[Transport] Play error:', err));
+    };
+
+    const pause = () => {
+        videoRef.current?.pause();
+    };
+
+    const seek = (time) => {
+        if (!videoRef.current) return;
+        videoRef.current.currentTime = Math.max(0, Math.min(time, duration || 0));
+    };
+
+    const stop = () => {
+        pause();
+        setPlaybackRate(speed);
+        setShuttleRate(0);
+    };
+
+    const togglePlay = () => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        if (video.paused || shuttleRate < 0) {
+            setPlaybackRate(speed);
+            setShuttleRate(1);
+            play();
+        } else {
+            stop();
+        }
+    };
+
+    const shuttle = (direction) => {
+        const rate = nextShuttleRate(shuttleRate, direction);
+        setShuttleRate(rate);
+
+        if (rate > 0) {
+            setPlaybackRate(rate * speed);
+            play();
+        } else {
+            // Reverse playback is emulated by the seek loop below; media elements stay paused
+            pause();
+        }
+    };
+
+    // Shuttle multiples apply on top of the selected speed
+    const setSpeed = (value) => {
+        setSpeedState(value);
+        setPlaybackRate(Math.max(shuttleRate, 1) * value);
+    };
+
+    const stepFrames = (frames) => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        stop();
+        seek(stepFrameTime(video.currentTime, frameRate, frames, duration));
+    };
+
+    const jumpToBoundary = (direction) => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        const points = [...boundaries, markers.in, markers.out, 0, duration]
+            .filter(time => time !== null && time !== undefined)
+            .sort((a, b) => a - b);
+        const time = findAdjacentBoundary(points, video.currentTime, direction);
+        if (time !== null) seek(time);
+    };
+
+    const setInPoint = () => {
+        const time = videoRef.current?.currentTime ?? 0;
+        setMarkers(current => ({
+            in: time,
+            out: current.out !== null && current.out <= time ? null : current.out
+        }));
+    };
+
+    const setOutPoint = () => {
+        const time = videoRef.current?.currentTime ?? 0;
+        setMarkers(current => ({
+            in: current.in !== null && current.in >= time ? null : current.in,
+            out: time
+        }));
+    };
+
+    const clearMarkers = () => setMarkers({ in: null, out: null });
+
+    const goToMarker = (which) => {
+        if (markers[which] !== null) seek(markers[which]);
+    };
+
+    const setVolume = (value) => {
+        setVolumeState(value);
+        setMuted(false);
+        for (const media of getAllMedia()) {
+            media.volume = value;
+            media.muted = false;
+        }
+    };
+
+    const toggleMute = () => {
+        const next = !muted;
+        setMuted(next);
+        for (const media of getAllMedia()) media.muted = next;
+    };
+
+    // Play state follows the video element, whoever started or stopped it
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        const handlePlay = () => setIsPlaying(true);
+        const handlePause = () => {
+            setIsPlaying(false);
+            // A forward shuttle ends with playback; reverse shuttle runs on a paused element
+            setShuttleRate(rate => (rate > 0 ? 0 : rate));
+        };
+
+        video.addEventListener('play', handlePlay);
+        video.addEventListener('pause', handlePause);
+        video.addEventListener('ended', handlePause);
+
+        return () => {
+            video.removeEventListener('play', handlePlay);
+            video.removeEventListener('pause', handlePause);
+            video.removeEventListener('ended', handlePause);
+        };
+        // duration changes once the element has loaded, which also covers a late-mounted video
+    }, [videoRef, duration]);
+
+    // Detect the frame rate from presented frames
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video || typeof video.requestVideoFrameCallback !== 'function') return;
+
+        const intervals = [];
+        let last = null;
+        let handle = null;
+
+        const collect = (now, metadata) => {
+            if (last && metadata.presentedFrames === last.presentedFrames + 1) {
+                const interval = metadata.mediaTime - last.mediaTime;
+                if (interval > 0) intervals.push(interval);
+            }
+            last = metadata;
+
+            if (intervals.length >= FRAME_RATE_SAMPLES) {
+                const sorted = [...intervals].sort((a, b) => a - b);
+                const median = sorted[Math.floor(sorted.length / 2)];
+                const rate = snapFrameRate(1 / median);
+                console.log('[Transport] Detected frame rate:', rate);
+                setFrameRate(rate);
+                return;
+            }
+
+            handle = video.requestVideoFrameCallback(collect);
+        };
+
+        handle = video.requestVideoFrameCallback(collect);
+
+        return () => video.cancelVideoFrameCallback(handle);
+    }, [videoRef, duration]);
+
+    // Reverse shuttle: step the playhead backwards every animation frame
+    // (synced audio follows the seeks while paused)
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video || shuttleRate >= 0) return;
+
+        let handle = null;
+        let lastTimestamp = null;
+
+        const tick = (timestamp) => {
+            if (lastTimestamp !== null) {
+                const elapsed = (timestamp - lastTimestamp) / 1000;
+                video.currentTime = Math.max(0, video.currentTime - elapsed * Math.abs(shuttleRate) * speed);
+            }
+            lastTimestamp = timestamp;
+
+            if (video.currentTime <= 0) {
+                setShuttleRate(0);
+                return;
+            }
+            handle = requestAnimationFrame(tick);
+        };
+
+        handle = requestAnimationFrame(tick);
+
+        return () => cancelAnimationFrame(handle);
+    }, [videoRef, shuttleRate, speed]);
+
+    const handleKeyDown = useEffectEvent((e) => {
+        if (e.ctrlKey || e.metaKey || isTypingTarget(e)) return;
+
+        const video = videoRef.current;
+        if (!video) return;
+
+        const actions = {
+            Space: () => togglePlay(),
+            KeyJ: () => shuttle(-1),
+            KeyK: () => stop(),
+            KeyL: () => shuttle(1),
+            ArrowLeft: () => stepFrames(e.shiftKey ? -Math.round(frameRate) : -1),
+            ArrowRight: () => stepFrames(e.shiftKey ? Math.round(frameRate) : 1),
+            ArrowUp: () => jumpToBoundary(-1),
+            ArrowDown: () => jumpToBoundary(1),
+            KeyI: () => (e.shiftKey ? goToMarker('in') : setInPoint()),
+            KeyO: () => (e.shiftKey ? goToMarker('out') : setOutPoint()),
+            KeyX: () => clearMarkers(),
+            Home: () => seek(0),
+            End: () => seek(duration)
+        };
+
+        const action = actions[e.code];
+        if (!action || (e.code === 'KeyX' && !e.altKey)) return;
+
+        e.preventDefault();
+        action();
+    });
+
+    useEffect(() => {
+        if (!keyboard) return;
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [keyboard]);
+
+    return {
+        isPlaying,
+        shuttleRate,
+        speed,
+        frameRate,
+        markers,
+        volume,
+        muted,
+        play,
+        pause,
+        stop,
+        togglePlay,
+        seek,
+        shuttle,
+        setSpeed,
+        stepFrames,
+        jumpToBoundary,
+        setInPoint,
+        setOutPoint,
+        clearMarkers,
+        goToMarker,
+        setVolume,
+        toggleMute
+    };
+}
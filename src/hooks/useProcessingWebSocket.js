@@ -11,6 +11,8 @@ export function useProcessingWebSocket(sessionId) {
     const [progress, setProgress] = useState(null);
     const [error, setError] = useState(null);
     const [completed, setCompleted] = useState(false);
+    // Latest Deepgram transcript pushed by the backend
+    const [transcript, setTranscript] = useState(null);
     const ws = useRef(null);
     const reconnectTimeout = useRef(null);
 
@@ -58,9 +60,13 @@ export function useProcessingWebSocket(sessionId) {
                             setError(message.data.message || 'Processing failed');
                             break;
 
+                        case 'transcript':
+                            console.log('[WS] Transcript received');
+                            setTranscript(message.data);
+                            break;
+
                         case 'video':
                         case 'audio':
-                        case 'transcript':
                             // Handle file updates if needed
                             console.log('[WS] File update:', message.type, message.data);
                             break;
@@ -131,6 +137,7 @@ export function useProcessingWebSocket(sessionId) {
         progress,
         error,
         completed,
+        transcript,
         reconnect: connect
     };
 }
@@ -0,0 +1,151 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { saveDraft, loadDraft, deleteDraft } from '../services/draftStore';
+import { getCompleteRecording } from '../services/backend-api';
+import { migrateInstructionDocument } from '../utils/instructionSchema';
+import { summarizeDocumentChanges } from '../utils/documentChanges';
+
+/** Wait this long after the last edit before writing the draft */
+const AUTOSAVE_DELAY_MS = 800;
+
+/**
+ * Custom hook for local draft autosave and crash recovery of a recording session
+ *
+ * On open it looks for a draft of the session in IndexedDB. While a draft is waiting for
+ * the user's decision nothing is saved, so the processed document cannot overwrite it;
+ * afterwards every edit is autosaved. The draft is deleted again once there is nothing left
+ * to recover: when the edits are undone back to a clean history, or after an export.
+ *
+ * @param {string} sessionId - Session ID (draft key)
+ * @param {Object|null} document - Current session document (head of the edit history)
+ * @param {Object} [options]
+ * @param {boolean} [options.dirty] - Whether the document holds unsaved edits worth keeping
+ * @returns {Object} { draft, pending, remote, remoteError, changes, lastSavedAt, restore, discard, clear }
+ */
+export function useSessionDraft(sessionId, document, { dirty = false } = {}) {
+    const [draftSession, setDraftSession] = useState(sessionId);
+    const [status, setStatus] = useState('checking'); // checking | pending | resolved
+    const [draft, setDraft] = useState(null);
+    const [remote, setRemote] = useState(null);
+    const [remoteError, setRemoteError] = useState(null);
+    const [lastSavedAt, setLastSavedAt] = useState(null);
+
+    // Whether the clean state of the history is a restored draft rather than the backend's document
+    const restoredRef = useRef(false);
+    const wasDirtyRef = useRef(dirty);
+
+    if (sessionId !== draftSession) {
+        setDraftSession(sessionId);
+        setStatus('checking');
+        setDraft(null);
+        setRemote(null);
+        setRemoteError(null);
+        setLastSavedAt(null);
+    }
+
+    // Look for a draft left by a previous visit
+    useEffect(() => {
+        if (!sessionId) return;
+
+        let cancelled = false;
+
+        loadDraft(sessionId)
+            .then((saved) => {
+                if (cancelled) return;
+
+                if (!saved) {
+                    setStatus('resolved');
+                    return;
+                }
+
+                console.log('[Draft] Found draft saved at', new Date(saved.savedAt).toISOString());
+                setDraft({ ...saved, document: migrateInstructionDocument(saved.document).document });
+                setStatus('pending');
+
+                // Fetch what the backend has so the user can see what the draft would change
+                return getCompleteRecording(sessionId)
+                    .then((response) => {
+                        if (!cancelled) setRemote(migrateInstructionDocument(response).document);
+                    })
+                    .catch((err) => {
+                        console.warn('[Draft] Could not load saved recording:', err.message);
+                        if (!cancelled) setRemoteError(err.message);
+                    });
+            })
+            .catch((err) => {
+                console.warn('[Draft] Drafts unavailable:', err.message);
+                if (!cancelled) setStatus('resolved');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionId]);
+
+    // Autosave edits once any pending draft has been restored or discarded
+    useEffect(() => {
+        if (!sessionId || !document || !dirty || status !== 'resolved') return;
+
+        const timer = setTimeout(() => {
+            saveDraft(sessionId, document)
+                .then(saved => setLastSavedAt(saved.savedAt))
+                .catch(err => console.warn('[Draft] Autosave failed:', err.message));
+        }, AUTOSAVE_DELAY_MS);
+
+        return () => clearTimeout(timer);
+    }, [sessionId, document, dirty, status]);
+
+    // Edits undone back to a clean history: nothing left to recover
+    useEffect(() => {
+        const wasDirty = wasDirtyRef.current;
+        wasDirtyRef.current = dirty;
+        if (!sessionId || !wasDirty || dirty || status !== 'resolved') return;
+
+        // A restored draft is the clean state itself: put it back instead of dropping it
+        const update = restoredRef.current && document
+            ? saveDraft(sessionId, document)
+            : deleteDraft(sessionId).then(() => setLastSavedAt(null));
+        update.catch(err => console.warn('[Draft] Cleanup failed:', err.message));
+    }, [sessionId, document, dirty, status]);
+
+    const changes = useMemo(
+        () => (draft && remote ? summarizeDocumentChanges(remote, draft.document) : []),
+        [draft, remote]
+    );
+
+    /**
+     * Accept the draft; the caller loads the returned document into its history
+     * @returns {Object|null} Draft document
+     */
+    const restore = () => {
+        restoredRef.current = Boolean(draft);
+        setStatus('resolved');
+        return draft?.document || null;
+    };
+
+    /** Drop the draft and keep the freshly processed document */
+    const discard = () => {
+        restoredRef.current = false;
+        setStatus('resolved');
+        setDraft(null);
+        deleteDraft(sessionId).catch(err => console.warn('[Draft] Delete failed:', err.message));
+    };
+
+    /** Drop the draft after the document was exported, so the next visit does not offer it again */
+    const clear = () => {
+        restoredRef.current = false;
+        setLastSavedAt(null);
+        deleteDraft(sessionId).catch(err => console.warn('[Draft] Delete failed:', err.message));
+    };
+
+    return {
+        draft,
+        pending: status === 'pending',
+        remote,
+        remoteError,
+        changes,
+        lastSavedAt,
+        restore,
+        discard,
+        clear
+    };
+}
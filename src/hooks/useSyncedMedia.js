@@ -0,0 +1,122 @@
+import { useEffect, useEffectEvent } from 'react';
+
+/** How often drift between the video and its audio tracks is measured */
+const DRIFT_CHECK_INTERVAL_MS = 250;
+
+/** Drift below this is inaudible and left alone, in seconds */
+const DRIFT_TOLERANCE = 0.03;
+
+/** Drift beyond this is fixed with a hard seek instead of a rate nudge, in seconds */
+const HARD_SEEK_THRESHOLD = 0.3;
+
+/** Largest relative playbackRate change used to pull an audio track back in line */
+const MAX_RATE_NUDGE = 0.05;
+
+/** Drift the nudge aims to absorb per second of playback (full nudge at 1s of drift) */
+const NUDGE_GAIN = 1;
+
+/**
+ * Correct one audio element against the video clock
+ * Small drift is absorbed by speeding up or slowing down the audio slightly;
+ * large drift (stalls, tab throttling) is fixed with a seek.
+ * @param {HTMLVideoElement} video - Clock element
+ * @param {HTMLMediaElement} audio - Follower element
+ * @returns {number} Measured drift in seconds (positive = audio ahead)
+ */
+function correctDrift(video, audio) {
+    const baseRate = video.playbackRate;
+    const drift = audio.currentTime - video.currentTime;
+
+    if (Math.abs(drift) > HARD_SEEK_THRESHOLD) {
+        console.log(`[Sync] Drift ${drift.toFixed(3)}s, seeking audio`);
+        audio.currentTime = video.currentTime;
+        audio.playbackRate = baseRate;
+    } else if (Math.abs(drift) > DRIFT_TOLERANCE) {
+        const nudge = Math.max(-MAX_RATE_NUDGE, Math.min(drift * NUDGE_GAIN, MAX_RATE_NUDGE));
+        audio.playbackRate = baseRate * (1 - nudge);
+    } else if (audio.playbackRate !== baseRate) {
+        audio.playbackRate = baseRate;
+    }
+
+    return drift;
+}
+
+/**
+ * Custom hook keeping separate audio elements in lockstep with a (muted) video element
+ * The video is the clock: its play, pause, seek and rate changes are mirrored to every audio
+ * element, and while playing the drift of each is measured and corrected continuously
+ * (rate nudge for small drift, hard seek past HARD_SEEK_THRESHOLD).
+ *
+ * @param {Object} options
+ * @param {Object} options.videoRef - Ref of the video element (clock)
+ * @param {Array<Object>} options.audioRefs - Refs of the audio elements that follow it
+ * @param {*} [options.sourceKey] - Changes when an element or its source is swapped, re-attaching the sync
+ */
+export function useSyncedMedia({ videoRef, audioRefs, sourceKey = null }) {
+    const getAudio = useEffectEvent(() => audioRefs.map(ref => ref.current).filter(Boolean));
+
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        // Rate nudges and speed changes must not shift the narration's pitch
+        for (const audio of getAudio()) audio.preservesPitch = true;
+
+        let driftTimer = null;
+
+        const stopDriftCheck = () => {
+            clearInterval(driftTimer);
+            driftTimer = null;
+        };
+
+        const startDriftCheck = () => {
+            stopDriftCheck();
+            driftTimer = setInterval(() => {
+                if (video.paused || video.seeking) return;
+                for (const audio of getAudio()) {
+                    if (!audio.paused && !audio.seeking) correctDrift(video, audio);
+                }
+            }, DRIFT_CHECK_INTERVAL_MS);
+        };
+
+        const handlePlay = () => {
+            for (const audio of getAudio()) {
+                audio.currentTime = video.currentTime;
+                audio.playbackRate = video.playbackRate;
+                audio.play().catch(err => console.warn('[Sync] Audio play failed:', err));
+            }
+            startDriftCheck();
+        };
+
+        const handlePause = () => {
+            stopDriftCheck();
+            for (const audio of getAudio()) audio.pause();
+        };
+
+        const handleSeeking = () => {
+            for (const audio of getAudio()) audio.currentTime = video.currentTime;
+        };
+
+        const handleRateChange = () => {
+            for (const audio of getAudio()) audio.playbackRate = video.playbackRate;
+        };
+
+        video.addEventListener('play', handlePlay);
+        video.addEventListener('pause', handlePause);
+        video.addEventListener('ended', handlePause);
+        video.addEventListener('seeking', handleSeeking);
+        video.addEventListener('ratechange', handleRateChange);
+
+        // Attached while the video is already playing (e.g. audio track swapped)
+        if (!video.paused) handlePlay();
+
+        return () => {
+            stopDriftCheck();
+            video.removeEventListener('play', handlePlay);
+            video.removeEventListener('pause', handlePause);
+            video.removeEventListener('ended', handlePause);
+            video.removeEventListener('seeking', handleSeeking);
+            video.removeEventListener('ratechange', handleRateChange);
+        };
+    }, [videoRef, sourceKey]);
+}
@@ -3,9 +3,17 @@
  * Handles recording upload, processing, and zoom instruction submission
  */
 
+import { SCHEMA_VERSION } from '../utils/instructionSchema';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
 const WS_BASE_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:8000';
 
+/** Effects /render/zoom/batch renders, with the fact fields each one sends besides the base fields */
+const BATCH_EFFECT_FIELDS = {
+    zoom: ['transition'],
+    blur: ['intensity']
+};
+
 /**
  * Submit a zoom instruction to the backend for rendering
  * @param {Object} instruction - The zoom instruction (pure facts only)
@@ -18,6 +26,7 @@ export async function submitZoomInstruction(instruction) {
             'Content-Type': 'application/json',
         },
         body: JSON.stringify({
+            "schemaVersion": SCHEMA_VERSION,
             "inputVideoPath": "video.webm",
             instruction
         })
@@ -32,15 +41,20 @@ export async function submitZoomInstruction(instruction) {
 }
 
 /**
- * Submit multiple zoom instructions for batch rendering
- * @param {Array<Object>} instructions - Array of zoom instructions
+ * Submit multiple effect instructions (zoom, blur) for batch rendering
+ * @param {Array<Object>} instructions - Array of pure effect instructions
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cuts] - Cut instructions (generateCutInstruction), in source time;
+ *   the effect and caption times must already follow the cut video
+ * @param {Object|null} [options.captions] - Burned-in caption facts (buildCaptionFacts), null for none
  * @returns {Promise<Object>} Backend response
  */
-export async function submitBatchZoomInstructions(instructions) {
+export async function submitBatchZoomInstructions(instructions, { cuts = [], captions = null } = {}) {
     // Backend expects a different format:
     // - Single "frame" at top level (not per instruction)
     // - "effects" array (not "instructions")
-    // - Each effect has only: startTimeMs, durationMs, boundingBox
+    // - Each effect has only: effect, startTimeMs, durationMs, boundingBox
+    //   plus the fact fields listed in BATCH_EFFECT_FIELDS for its type
 
     if (!instructions || instructions.length === 0) {
         throw new Error('No instructions to send');
@@ -50,16 +64,31 @@ export async function submitBatchZoomInstructions(instructions) {
     const frame = instructions[0].frame;
 
     // Transform instructions to effects format
-    const effects = instructions.map(inst => ({
-        startTimeMs: inst.startTimeMs,
-        durationMs: inst.durationMs,
-        boundingBox: inst.boundingBox
-    }));
+    const effects = instructions.map(inst => {
+        const factFields = BATCH_EFFECT_FIELDS[inst.effect];
+        if (!factFields) {
+            throw new Error(`Effect "${inst.effect}" is not supported by batch rendering`);
+        }
+
+        const effect = {
+            effect: inst.effect,
+            startTimeMs: inst.startTimeMs,
+            durationMs: inst.durationMs,
+            boundingBox: inst.boundingBox
+        };
+        factFields.forEach(field => {
+            effect[field] = inst[field];
+        });
+        return effect;
+    });
 
     const payload = {
+        schemaVersion: SCHEMA_VERSION,
         inputVideoPath: "video.webm",
         frame: frame,
-        effects: effects
+        effects: effects,
+        ...(cuts.length > 0 && { cuts }),
+        ...(captions && { captions })
     };
 
     console.log('[API] Sending to backend:', JSON.stringify(payload, null, 2));
@@ -3,6 +3,10 @@
  * Handles recording processing, querying, and WebSocket connections
  */
 
+import { SCHEMA_VERSION } from '../utils/instructionSchema';
+import { applyCutsToDocument, normalizeCuts } from '../utils/cutEditing';
+import { generateCutInstruction } from '../utils/instructionGenerator';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
 const WS_BASE_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:8000';
 
@@ -77,18 +81,76 @@ export async function generateSpeech(sessionId) {
     return result.data || result;
 }
 
+/**
+ * Re-synthesize the speech of a single narration segment
+ * Used after a sync point's script was edited, instead of regenerating the whole session
+ * @param {string} sessionId - Session ID
+ * @param {Object} narration - Edited narration ({ windowIndex, start, end, text })
+ * @returns {Promise<Object>} Segment response with segmentAudioUrl
+ */
+export async function regenerateNarrationSegment(sessionId, narration) {
+    const response = await fetch(`${API_BASE_URL}/api/generate-speech/segment`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            sessionId,
+            windowIndex: narration.windowIndex,
+            start: narration.start,
+            end: narration.end,
+            text: narration.text
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ message: 'Unknown error' }));
+        throw new Error(error.message || `HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    // Backend wraps response in { success: true, data: {...} }
+    return result.data || result;
+}
+
+/**
+ * Build the export payload of a session document
+ * Cuts are sent in source time; every other time is remapped onto the cut output timeline
+ * @param {Object} document - Session document in source time
+ * @returns {Object} Payload fields
+ */
+function buildExportPayload(document) {
+    const output = applyCutsToDocument(document);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        displayEffects: output.displayEffects || [],
+        narrations: output.narrations || [],
+        instructions: output.instructions || [],
+        cuts: normalizeCuts(document.cuts).map(generateCutInstruction)
+    };
+}
+
 /**
  * Export video with FFmpeg rendering (called when user clicks export button)
+ * Sends the edited session document so the render matches what is on screen
  * @param {string} sessionId - Session ID
+ * @param {Object} [document] - Current session document (head of the edit history)
+ * @param {Object} [options]
+ * @param {Object|null} [options.captions] - Burned-in caption facts (buildCaptionFacts), null for none
  * @returns {Promise<Object>} Export response with processedVideoUrl
  */
-export async function exportVideo(sessionId) {
+export async function exportVideo(sessionId, document = null, { captions = null } = {}) {
     const response = await fetch(`${API_BASE_URL}/api/export-video`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ sessionId })
+        body: JSON.stringify({
+            sessionId,
+            ...(document && buildExportPayload(document)),
+            ...(captions && { captions })
+        })
     });
 
     if (!response.ok) {
@@ -114,6 +176,29 @@ export async function getCompleteRecording(sessionId) {
     return response.json();
 }
 
+/**
+ * Save edited narrations (text and start/end windows) for a session
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} narrations - Narrations in document order
+ * @returns {Promise<Object>} Update response
+ */
+export async function updateNarrations(sessionId, narrations) {
+    const response = await fetch(`${API_BASE_URL}/api/recordings/session/${sessionId}/narrations`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ schemaVersion: SCHEMA_VERSION, narrations })
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ message: 'Unknown error' }));
+        throw new Error(error.message || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
 /**
  * Get recording by ID
  * @param {string} id - Recording ID
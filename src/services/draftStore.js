@@ -0,0 +1,104 @@
+/**
+ * Draft Store
+ * Local IndexedDB persistence for in-progress session documents, keyed by sessionId,
+ * so edits survive a reload or crash of the recording session page.
+ *
+ * Stored record: { sessionId, schemaVersion, document, savedAt }, the document itself stamped too
+ */
+
+import { SCHEMA_VERSION, withSchemaVersion } from '../utils/instructionSchema';
+
+const DB_NAME = 'explaino-drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (once) the drafts database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+        };
+
+        dbPromise = promisifyRequest(request).catch((err) => {
+            // Allow a later call to retry (e.g. after the user unblocks storage)
+            dbPromise = null;
+            throw err;
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the drafts store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+}
+
+/**
+ * Save the current session document as the draft for a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} document - Session document ({ displayEffects, narrations, instructions, ... })
+ * @returns {Promise<Object>} Stored draft record
+ */
+export async function saveDraft(sessionId, document) {
+    const draft = {
+        sessionId,
+        schemaVersion: SCHEMA_VERSION,
+        document: withSchemaVersion(document),
+        savedAt: Date.now()
+    };
+
+    await withStore('readwrite', store => store.put(draft));
+    return draft;
+}
+
+/**
+ * Load the saved draft for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Draft record, or null when there is none
+ */
+export async function loadDraft(sessionId) {
+    const draft = await withStore('readonly', store => store.get(sessionId));
+    if (!draft) return null;
+
+    // Drafts saved before documents were stamped only carry the version on the record
+    return { ...draft, document: { schemaVersion: draft.schemaVersion, ...draft.document } };
+}
+
+/**
+ * Delete the saved draft for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(sessionId) {
+    await withStore('readwrite', store => store.delete(sessionId));
+}
@@ -0,0 +1,297 @@
+/**
+ * Frame Capture Service
+ * Grabs still frames from a video URL (article screenshots, session thumbnails, hover
+ * previews) with an offscreen <video> and a canvas, optionally cropped around a target's
+ * bounds (in video pixels, the space instructions[].bounds use).
+ *
+ * The visible player is never touched. Requests are queued and run one at a time on a
+ * single offscreen element per video, and results are cached, so capturing many steps at
+ * once neither thrashes decoding nor repeats work when a view re-renders.
+ */
+
+/** Space kept around a cropped target, in video pixels */
+export const DEFAULT_CROP_PADDING = 80;
+
+/** Encoded frames kept in memory; the least recently used are dropped first */
+const MAX_CACHED_FRAMES = 200;
+
+/** An offscreen video is released after this long without requests */
+const VIDEO_IDLE_MS = 10000;
+
+/** A load or seek that takes longer fails, so it cannot stall the queue */
+const LOAD_TIMEOUT_MS = 30000;
+const SEEK_TIMEOUT_MS = 10000;
+
+/** cacheKey -> Promise<Blob>, in least-recently-used order */
+const frameCache = new Map();
+
+/** videoUrl -> { video: Promise<HTMLVideoElement>, users, idleTimer } */
+const offscreenVideos = new Map();
+
+/** Capture jobs run strictly one after another */
+let queue = Promise.resolve();
+
+/**
+ * Wait for one of a media element's events, failing on error, on a dropped source or after a timeout
+ * @param {HTMLVideoElement} video - Offscreen video
+ * @param {string} eventName - Event that ends the wait
+ * @param {number} timeoutMs - Longest wait
+ * @param {string} description - What is being waited for, for error messages
+ * @returns {Promise<void>}
+ */
+function waitForMediaEvent(video, eventName, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            clearTimeout(timer);
+            video.removeEventListener(eventName, handleDone);
+            video.removeEventListener('error', handleError);
+            video.removeEventListener('emptied', handleError);
+            if (error) reject(error);
+            else resolve();
+        };
+        const handleDone = () => finish(null);
+        const handleError = () => finish(new Error(`${description} failed`));
+        const timer = setTimeout(() => finish(new Error(`${description} timed out`)), timeoutMs);
+
+        video.addEventListener(eventName, handleDone);
+        video.addEventListener('error', handleError);
+        video.addEventListener('emptied', handleError);
+    });
+}
+
+/**
+ * Load a video offscreen, ready to seek
+ * @param {string} url - Video URL
+ * @returns {Promise<HTMLVideoElement>}
+ */
+async function loadVideo(url) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.playsInline = true;
+    // Cross-origin frames would taint the canvas and block toBlob()
+    video.crossOrigin = 'anonymous';
+
+    const loaded = waitForMediaEvent(video, 'loadeddata', LOAD_TIMEOUT_MS, `Loading video for capture (${url})`);
+    video.src = url;
+
+    try {
+        await loaded;
+    } catch (err) {
+        // Stop a download that timed out
+        video.removeAttribute('src');
+        video.load();
+        throw err;
+    }
+    return video;
+}
+
+/**
+ * Offscreen video for a URL, loaded once and reused until idle
+ * Every acquire must be paired with a leaveVideo(); the idle timer only runs while nobody uses it.
+ * @param {string} url - Video URL
+ * @returns {Object} Entry { video: Promise<HTMLVideoElement>, users, idleTimer }
+ */
+function acquireVideo(url) {
+    let entry = offscreenVideos.get(url);
+    if (!entry) {
+        entry = { video: loadVideo(url), users: 0, idleTimer: null };
+        // A failed load must not be reused
+        entry.video.catch(() => {
+            if (offscreenVideos.get(url) === entry) offscreenVideos.delete(url);
+        });
+        offscreenVideos.set(url, entry);
+    }
+
+    clearTimeout(entry.idleTimer);
+    entry.users += 1;
+    return entry;
+}
+
+/**
+ * Stop using an offscreen video; the last user starts its idle timer
+ * @param {string} url - Video URL
+ * @param {Object} entry - Entry returned by acquireVideo
+ */
+function leaveVideo(url, entry) {
+    entry.users -= 1;
+    if (entry.users > 0 || offscreenVideos.get(url) !== entry) return;
+
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => releaseVideo(url), VIDEO_IDLE_MS);
+}
+
+/**
+ * Release the offscreen video of a URL (its cached frames stay)
+ * A capture still running on it fails rather than waiting forever.
+ * @param {string} url - Video URL
+ */
+export function releaseVideo(url) {
+    const entry = offscreenVideos.get(url);
+    if (!entry) return;
+
+    clearTimeout(entry.idleTimer);
+    offscreenVideos.delete(url);
+    entry.video.then(video => {
+        video.removeAttribute('src');
+        video.load();
+    }).catch(() => {});
+}
+
+/**
+ * Seek a video and wait until the frame at that time is decoded
+ * Rejects when the video errors, loses its source or takes longer than SEEK_TIMEOUT_MS.
+ * @param {HTMLVideoElement} video - Offscreen video
+ * @param {number} time - Time in seconds
+ * @returns {Promise<void>}
+ */
+function seekTo(video, time) {
+    const target = Math.max(0, Math.min(time, (video.duration || time) - 0.01));
+    if (Math.abs(video.currentTime - target) < 0.001 && video.readyState >= 2) {
+        return Promise.resolve();
+    }
+
+    const seeked = waitForMediaEvent(video, 'seeked', SEEK_TIMEOUT_MS, `Seeking to ${target.toFixed(2)}s`);
+    video.currentTime = target;
+    return seeked;
+}
+
+/**
+ * Area of the frame to keep: the bounds plus padding, clamped to the frame
+ * @param {Object|null} bounds - { x, y, width, height } in video pixels, or null for the full frame
+ * @param {number} frameWidth - Video width
+ * @param {number} frameHeight - Video height
+ * @param {number} [padding] - Extra space around the bounds
+ * @returns {Object} { x, y, width, height }
+ */
+export function getCropRect(bounds, frameWidth, frameHeight, padding = DEFAULT_CROP_PADDING) {
+    if (!bounds) return { x: 0, y: 0, width: frameWidth, height: frameHeight };
+
+    const x = Math.max(0, Math.floor(bounds.x - padding));
+    const y = Math.max(0, Math.floor(bounds.y - padding));
+    const right = Math.min(frameWidth, Math.ceil(bounds.x + bounds.width + padding));
+    const bottom = Math.min(frameHeight, Math.ceil(bounds.y + bounds.height + padding));
+
+    return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+}
+
+/**
+ * Draw the current frame (or part of it) to a canvas and encode it
+ * @param {HTMLVideoElement} video - Video positioned on the frame
+ * @param {Object} rect - Crop rect in video pixels
+ * @param {Object} options - { type, quality, maxWidth }
+ * @returns {Promise<Blob>}
+ */
+function encodeFrame(video, rect, { type, quality, maxWidth }) {
+    const scale = maxWidth ? Math.min(1, maxWidth / rect.width) : 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(rect.width * scale);
+    canvas.height = Math.round(rect.height * scale);
+    canvas.getContext('2d').drawImage(video, rect.x, rect.y, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Frame encoding failed'))), type, quality);
+    });
+}
+
+/**
+ * Cache key of a capture request
+ * @returns {string}
+ */
+function getCacheKey(videoUrl, time, { bounds, padding, type, quality, maxWidth }) {
+    const area = bounds ? `${bounds.x},${bounds.y},${bounds.width},${bounds.height}+${padding}` : 'full';
+    return `${videoUrl}|${time.toFixed(3)}|${area}|${type}|${quality ?? ''}|${maxWidth ?? ''}`;
+}
+
+/**
+ * Capture one frame of a video
+ * Identical requests share one capture (cached, or still in the queue).
+ * @param {string} videoUrl - Video URL
+ * @param {number} time - Time in seconds
+ * @param {Object} [options]
+ * @param {Object|null} [options.bounds] - Crop around these bounds (video pixels); full frame when null
+ * @param {number} [options.padding] - Space around the bounds
+ * @param {string} [options.type] - 'image/png' or 'image/webp'
+ * @param {number} [options.quality] - 0-1, for lossy types
+ * @param {number} [options.maxWidth] - Downscale wider images to this width (thumbnails)
+ * @returns {Promise<Blob>}
+ */
+export function captureFrame(videoUrl, time, {
+    bounds = null,
+    padding = DEFAULT_CROP_PADDING,
+    type = 'image/png',
+    quality,
+    maxWidth
+} = {}) {
+    const options = { bounds, padding, type, quality, maxWidth };
+    const key = getCacheKey(videoUrl, time, options);
+
+    const cached = frameCache.get(key);
+    if (cached) {
+        // Refresh its least-recently-used position
+        frameCache.delete(key);
+        frameCache.set(key, cached);
+        return cached;
+    }
+
+    const job = queue.then(async () => {
+        const entry = acquireVideo(videoUrl);
+        try {
+            const video = await entry.video;
+            try {
+                await seekTo(video, time);
+            } catch (err) {
+                // The element is in an unknown state: load a fresh one for the next capture
+                releaseVideo(videoUrl);
+                throw err;
+            }
+            const rect = getCropRect(bounds, video.videoWidth, video.videoHeight, padding);
+            return await encodeFrame(video, rect, options);
+        } finally {
+            leaveVideo(videoUrl, entry);
+        }
+    });
+
+    // Keep the queue going after a failed job, and never cache a failure
+    queue = job.catch(() => {});
+    job.catch(() => frameCache.delete(key));
+
+    frameCache.set(key, job);
+    if (frameCache.size > MAX_CACHED_FRAMES) {
+        frameCache.delete(frameCache.keys().next().value);
+    }
+
+    return job;
+}
+
+/**
+ * Capture several frames of one video
+ * @param {string} videoUrl - Video URL
+ * @param {Array<Object>} requests - [{ time, bounds?, padding? }]
+ * @param {Object} [options] - captureFrame options shared by every request
+ * @returns {Promise<Array<Blob>>} One image per request
+ */
+export function captureFrames(videoUrl, requests, options = {}) {
+    return Promise.all(requests.map(({ time, ...request }) => captureFrame(videoUrl, time, { ...options, ...request })));
+}
+
+/**
+ * Small full-frame WebP, for session thumbnails and hover previews
+ * @param {string} videoUrl - Video URL
+ * @param {number} time - Time in seconds
+ * @param {number} [width] - Thumbnail width
+ * @returns {Promise<Blob>}
+ */
+export function captureThumbnail(videoUrl, time, width = 320) {
+    return captureFrame(videoUrl, time, { type: 'image/webp', quality: 0.8, maxWidth: width });
+}
+
+/**
+ * Drop cached frames, of one video or all
+ * @param {string} [videoUrl] - Only frames of this video
+ */
+export function clearFrameCache(videoUrl) {
+    for (const key of [...frameCache.keys()]) {
+        if (!videoUrl || key.startsWith(`${videoUrl}|`)) frameCache.delete(key);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Article Guide Utility
+ * Turns a session's recorded actions (instructions[]: action, selector, metadata.text, t, bounds)
+ * and the narrations playing at those moments into numbered written steps.
+ *
+ * Generated text can be overridden per step; overrides live on the instruction itself as
+ * `guide: { title?, text? }` so they go through the edit history and drafts like any other edit.
+ * Each field is only set once edited, so a step with a custom title still shows later
+ * narration edits.
+ */
+
+/** Longest element label quoted in a generated step title */
+const MAX_LABEL_LENGTH = 48;
+
+/** Verb for each recorded action type */
+const ACTION_VERBS = {
+    click: 'Click',
+    dblclick: 'Double-click',
+    input: 'Type in',
+    type: 'Type in',
+    change: 'Change',
+    select: 'Select',
+    submit: 'Submit',
+    scroll: 'Scroll to',
+    hover: 'Hover over',
+    navigate: 'Go to'
+};
+
+/**
+ * Human-readable label of the element an action targeted
+ * First line of its visible text, else the last part of its selector.
+ * @param {Object} instruction - Recorded action
+ * @returns {string}
+ */
+export function getElementLabel(instruction) {
+    const text = (instruction.metadata?.text || '').split('\n').map(line => line.trim()).find(Boolean);
+    if (text) {
+        return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+    }
+
+    const last = (instruction.selector || '').split(/\s*>\s*|\s+/).filter(Boolean).pop() || '';
+    return last.replace(/^[#.]/, '').replace(/[.#]/g, ' ').replace(/[-_]/g, ' ').trim() || 'the element';
+}
+
+/**
+ * Generated title of a step, e.g. Click "New"
+ * @param {Object} instruction - Recorded action
+ * @returns {string}
+ */
+export function generateStepTitle(instruction) {
+    const action = instruction.action || 'interact';
+    const verb = ACTION_VERBS[action] || action.charAt(0).toUpperCase() + action.slice(1);
+    return `${verb} "${getElementLabel(instruction)}"`;
+}
+
+/**
+ * Title of a session's guide
+ * The session's own title when the backend sent one, else one naming the session.
+ * @param {Object} document - Session document
+ * @param {string} sessionId - Session ID
+ * @returns {string}
+ */
+export function getSessionTitle(document, sessionId) {
+    const title = (document?.title || document?.metadata?.title || '').trim();
+    return title || `Session ${sessionId}`;
+}
+
+/**
+ * Build the numbered steps of a session guide
+ * Each step takes the narration playing at its time; a narration spanning several steps is
+ * only written out once, on the first of them.
+ * @param {Object} document - Session document
+ * @returns {Array<Object>} [{ number, instructionIndex, t, action, bounds, title, text, edited }]
+ */
+export function buildGuideSteps(document) {
+    const narrations = document?.narrations || [];
+    const usedNarrations = new Set();
+
+    return (document?.instructions || [])
+        .map((instruction, instructionIndex) => ({ instruction, instructionIndex }))
+        .filter(({ instruction }) => Number.isFinite(instruction.t))
+        .sort((a, b) => a.instruction.t - b.instruction.t)
+        .map(({ instruction, instructionIndex }, idx) => {
+            const narrationIndex = narrations.findIndex(narration => (
+                instruction.t >= narration.start && instruction.t < narration.end
+            ));
+
+            let narrationText = '';
+            if (narrationIndex !== -1 && !usedNarrations.has(narrationIndex)) {
+                usedNarrations.add(narrationIndex);
+                narrationText = narrations[narrationIndex].text || '';
+            }
+
+            return {
+                number: idx + 1,
+                instructionIndex,
+                t: instruction.t,
+                action: instruction.action,
+                bounds: instruction.bounds || null,
+                title: instruction.guide?.title ?? generateStepTitle(instruction),
+                text: instruction.guide?.text ?? narrationText,
+                edited: Boolean(instruction.guide)
+            };
+        });
+}
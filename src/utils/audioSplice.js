@@ -0,0 +1,110 @@
+/**
+ * Audio Splice Utility
+ * Replaces one narration window of the session's speech track with newly synthesized
+ * segment audio, entirely in the browser (Web Audio decode + WAV encode), so a single
+ * edited sync point does not require regenerating the whole track.
+ */
+
+/** Sample rate both tracks are decoded to before splicing */
+const SPLICE_SAMPLE_RATE = 44100;
+
+/**
+ * Fetch and decode an audio file
+ * @param {BaseAudioContext} context - Context used for decoding
+ * @param {string} url - Audio URL (http or blob)
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudio(context, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch audio (HTTP ${response.status})`);
+    }
+
+    return context.decodeAudioData(await response.arrayBuffer());
+}
+
+/**
+ * Encode channel data as a 16-bit PCM WAV file
+ * @param {Array<Float32Array>} channels - Samples per channel, all the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} audio/wav blob
+ */
+export function encodeWav(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frameCount = channels[0].length;
+    const bytesPerSample = 2;
+    const dataSize = frameCount * channelCount * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);
+    view.setUint16(32, channelCount * bytesPerSample, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * Splice segment audio into a track over the window [start, end]
+ * The segment starts at `start`; the rest of the window is silenced, and a segment longer
+ * than its window is cut at `end` so it never talks over the next sync point.
+ * @param {string} trackUrl - Current full speech track
+ * @param {string} segmentUrl - Newly synthesized segment audio
+ * @param {number} start - Window start in seconds
+ * @param {number} end - Window end in seconds
+ * @returns {Promise<Object>} { blob, overflow } - WAV track and seconds of segment audio cut off
+ */
+export async function spliceAudioSegment(trackUrl, segmentUrl, start, end) {
+    // Decoding only; the offline context is never rendered
+    const context = new OfflineAudioContext(1, 1, SPLICE_SAMPLE_RATE);
+    const [track, segment] = await Promise.all([
+        decodeAudio(context, trackUrl),
+        decodeAudio(context, segmentUrl)
+    ]);
+
+    const sampleRate = track.sampleRate;
+    const startFrame = Math.round(start * sampleRate);
+    const endFrame = Math.round(end * sampleRate);
+    const segmentFrames = Math.min(segment.length, Math.max(0, endFrame - startFrame));
+    const length = Math.max(track.length, endFrame);
+
+    const channels = [];
+    for (let channel = 0; channel < track.numberOfChannels; channel++) {
+        const samples = new Float32Array(length);
+        samples.set(track.getChannelData(channel));
+
+        // Mono segments feed every channel of the track
+        const source = segment.getChannelData(Math.min(channel, segment.numberOfChannels - 1));
+        samples.fill(0, startFrame, endFrame);
+        samples.set(source.subarray(0, segmentFrames), startFrame);
+
+        channels.push(samples);
+    }
+
+    return {
+        blob: encodeWav(channels, sampleRate),
+        overflow: Math.max(0, segment.duration - (end - start))
+    };
+}
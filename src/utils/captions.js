@@ -0,0 +1,372 @@
+/**
+ * Captions Utility
+ * Builds subtitle cues from narrations or the Deepgram transcript and formats them as SRT
+ * and WebVTT.
+ *
+ * Cues follow common broadcast limits: at most CAPTION_MAX_LINES lines of
+ * CAPTION_MAX_LINE_LENGTH characters and on screen no longer than CAPTION_MAX_DURATION; long
+ * sync points are split into several cues. Splitting does not slow reading down, so text
+ * spoken faster than CAPTION_MAX_CPS is held on screen into the following silence, as far as
+ * the next cue allows.
+ * Times follow the exported video, so cut ranges are removed first.
+ */
+
+import { applyCutsToDocument, findCutAt, mapTimeThroughCuts, normalizeCuts } from './cutEditing';
+
+/** Characters per caption line */
+export const CAPTION_MAX_LINE_LENGTH = 42;
+
+/** Lines per cue */
+export const CAPTION_MAX_LINES = 2;
+
+/** Longest a single cue stays on screen, in seconds */
+export const CAPTION_MAX_DURATION = 7;
+
+/** Reading speed limit in characters per second */
+export const CAPTION_MAX_CPS = 17;
+
+/** Silence between transcript words that starts a new cue, in seconds */
+const CAPTION_PAUSE_BREAK = 1;
+
+/** Where cues come from */
+export const CAPTION_SOURCES = ['narrations', 'transcript'];
+
+/**
+ * Burned-in caption style presets
+ * Pure facts the backend renders from (like instructions: no CSS): sizes are percentages of
+ * the frame height, colors are #RRGGBB, `box` is the background box or null.
+ */
+export const CAPTION_PRESETS = {
+    classic: {
+        label: 'Classic',
+        fontFamily: 'Inter',
+        fontWeight: 500,
+        fontSizePercent: 4.5,
+        textColor: '#ffffff',
+        box: { color: '#000000', opacity: 0.7 },
+        position: 'bottom',
+        marginPercent: 6
+    },
+    outline: {
+        label: 'Outline',
+        fontFamily: 'Inter',
+        fontWeight: 700,
+        fontSizePercent: 5,
+        textColor: '#ffffff',
+        box: null,
+        position: 'bottom',
+        marginPercent: 6
+    },
+    highlight: {
+        label: 'Highlight',
+        fontFamily: 'Inter',
+        fontWeight: 800,
+        fontSizePercent: 5.5,
+        textColor: '#facc15',
+        box: { color: '#1e1e2e', opacity: 0.85 },
+        position: 'bottom',
+        marginPercent: 8
+    },
+    top: {
+        label: 'Top',
+        fontFamily: 'Inter',
+        fontWeight: 500,
+        fontSizePercent: 4,
+        textColor: '#ffffff',
+        box: { color: '#000000', opacity: 0.6 },
+        position: 'top',
+        marginPercent: 5
+    }
+};
+
+/** Preset shown before one is picked: off, burned-in captions are opt-in */
+export const DEFAULT_CAPTION_PRESET = '';
+
+/**
+ * Wrap text into lines of at most maxLength characters, breaking between words
+ * A single word longer than the limit gets a line of its own.
+ * @param {string} text - Caption text
+ * @param {number} [maxLength] - Characters per line
+ * @returns {Array<string>} Lines
+ */
+export function wrapCaptionText(text, maxLength = CAPTION_MAX_LINE_LENGTH) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > maxLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * End time that leaves a text on screen long enough to read at CAPTION_MAX_CPS
+ * Only ever extends the window, and never past `limit` (the start of whatever comes next).
+ * @param {string} text - Caption text
+ * @param {number} start - Window start in seconds
+ * @param {number} end - Window end in seconds
+ * @param {number} limit - Latest allowed end in seconds
+ * @returns {number}
+ */
+function getReadableEnd(text, start, end, limit) {
+    return Math.max(end, Math.min(limit, start + text.length / CAPTION_MAX_CPS));
+}
+
+/**
+ * Number of cues a timed text needs to respect the line, duration and reading-speed limits
+ * @param {string} text - Caption text
+ * @param {number} duration - Seconds available
+ * @returns {number}
+ */
+function countCuesNeeded(text, duration) {
+    const byLength = Math.ceil(wrapCaptionText(text).length / CAPTION_MAX_LINES);
+    const byDuration = Math.ceil(duration / CAPTION_MAX_DURATION);
+    // Text needing more reading time than one cue may be shown is split even in a short window
+    const byReadingSpeed = Math.ceil(text.length / (CAPTION_MAX_CPS * CAPTION_MAX_DURATION));
+
+    return Math.max(1, byLength, byDuration, byReadingSpeed);
+}
+
+/**
+ * Split words into `count` groups of about equal character length
+ * Prefers breaking after sentence punctuation when one is close to the target.
+ * @param {Array<string>} words - Words in order
+ * @param {number} count - Number of groups
+ * @returns {Array<Array<string>>}
+ */
+function splitWordsEvenly(words, count) {
+    const total = words.join(' ').length;
+    const target = total / count;
+    const groups = [[]];
+    let length = 0;
+
+    words.forEach((word, idx) => {
+        const group = groups[groups.length - 1];
+        group.push(word);
+        length += word.length + 1;
+
+        const remainingGroups = count - groups.length;
+        const remainingWords = words.length - idx - 1;
+        if (remainingGroups === 0 || remainingWords === 0) return;
+
+        const sentenceEnd = /[.!?;:]$/.test(word) && length >= target * 0.7;
+        if (length >= target || sentenceEnd || remainingWords === remainingGroups) {
+            groups.push([]);
+            length = 0;
+        }
+    });
+
+    return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Split a group of words until every part wraps to at most CAPTION_MAX_LINES lines
+ * Even splits by character count can still wrap to an extra line when words break badly.
+ * @param {Array<string>} words - Words of one group
+ * @returns {Array<Array<string>>}
+ */
+function splitToLineLimit(words) {
+    if (words.length < 2 || wrapCaptionText(words.join(' ')).length <= CAPTION_MAX_LINES) {
+        return [words];
+    }
+    return splitWordsEvenly(words, 2).flatMap(splitToLineLimit);
+}
+
+/**
+ * Cues for one timed text, split to fit the caption limits
+ * Split cues share the window in proportion to their length.
+ * @param {string} text - Caption text
+ * @param {number} start - Window start in seconds
+ * @param {number} end - Window end in seconds
+ * @returns {Array<Object>} [{ start, end, lines }]
+ */
+export function splitTimedText(text, start, end) {
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0 || end <= start) return [];
+
+    const groups = splitWordsEvenly(words, countCuesNeeded(words.join(' '), end - start))
+        .flatMap(splitToLineLimit);
+    const total = groups.reduce((sum, group) => sum + group.join(' ').length, 0);
+
+    let cursor = start;
+    return groups.map((group, idx) => {
+        const groupText = group.join(' ');
+        const cueEnd = idx === groups.length - 1 ? end : cursor + (end - start) * (groupText.length / total);
+        const cue = { start: cursor, end: cueEnd, lines: wrapCaptionText(groupText) };
+        cursor = cueEnd;
+        return cue;
+    });
+}
+
+/**
+ * Cues from narrations, one or more per sync point
+ * A sync point spoken too fast to read gets the silence after it, up to the next one.
+ * @param {Array<Object>} narrations - Narrations with start/end/text
+ * @returns {Array<Object>} [{ start, end, lines }] ordered by start
+ */
+export function buildNarrationCues(narrations = []) {
+    const sorted = [...narrations].sort((a, b) => a.start - b.start);
+
+    return sorted.flatMap((narration, idx) => {
+        const text = (narration.text || '').trim();
+        const next = sorted[idx + 1];
+        const end = getReadableEnd(text, narration.start, narration.end, next ? next.start : Infinity);
+        return splitTimedText(text, narration.start, end);
+    });
+}
+
+/**
+ * Cues from transcript words, timed by the words themselves
+ * A cue ends at a pause, at sentence end once it is half full, or when it would exceed the
+ * line or duration limits; one read aloud too fast for captions stays up into the pause after it.
+ * @param {Array<Object>} words - Word timings ({ word, start, end })
+ * @returns {Array<Object>} [{ start, end, lines }]
+ */
+export function buildTranscriptCues(words = []) {
+    const maxChars = CAPTION_MAX_LINE_LENGTH * CAPTION_MAX_LINES;
+    const cues = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) {
+            cues.push({ start: current.start, end: current.end, lines: wrapCaptionText(current.words.join(' ')) });
+        }
+        current = null;
+    };
+
+    for (const word of words) {
+        if (current) {
+            const text = [...current.words, word.word].join(' ');
+            const tooLong = wrapCaptionText(text).length > CAPTION_MAX_LINES || text.length > maxChars;
+            const tooSlow = word.end - current.start > CAPTION_MAX_DURATION;
+            const paused = word.start - current.end > CAPTION_PAUSE_BREAK;
+            if (tooLong || tooSlow || paused) flush();
+        }
+
+        if (!current) current = { start: word.start, end: word.end, words: [] };
+        current.words.push(word.word);
+        current.end = word.end;
+
+        const length = current.words.join(' ').length;
+        if (/[.!?]$/.test(word.word) && length >= maxChars / 2) flush();
+    }
+
+    flush();
+
+    // Hold fast cues into the pause after them, within the duration limit
+    return cues.map((cue, idx) => {
+        const limit = Math.min(cues[idx + 1]?.start ?? Infinity, cue.start + CAPTION_MAX_DURATION);
+        return { ...cue, end: getReadableEnd(cue.lines.join(' '), cue.start, cue.end, limit) };
+    });
+}
+
+/**
+ * Cues for a session, on the exported (cut) timeline
+ * @param {Object} document - Session document in source time
+ * @param {string} source - One of CAPTION_SOURCES
+ * @param {Array<Object>} [words] - Transcript word timings, for the 'transcript' source
+ * @returns {Array<Object>} [{ start, end, lines }]
+ */
+export function buildCaptionCues(document, source, words = []) {
+    if (source === 'transcript') {
+        const cuts = normalizeCuts(document?.cuts);
+        const kept = words
+            .filter(word => !findCutAt(cuts, (word.start + word.end) / 2))
+            .map(word => ({
+                ...word,
+                start: mapTimeThroughCuts(word.start, cuts),
+                end: mapTimeThroughCuts(word.end, cuts)
+            }));
+        return buildTranscriptCues(kept);
+    }
+
+    return buildNarrationCues(applyCutsToDocument(document || {}).narrations);
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} HH:MM:SS,mmm
+ */
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Format cues as SubRip (.srt)
+ * @param {Array<Object>} cues - [{ start, end, lines }]
+ * @returns {string}
+ */
+export function formatSrt(cues) {
+    return cues.map((cue, idx) => [
+        idx + 1,
+        `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+        ...cue.lines
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Format cues as WebVTT (.vtt)
+ * @param {Array<Object>} cues - [{ start, end, lines }]
+ * @returns {string}
+ */
+export function formatVtt(cues) {
+    const blocks = cues.map(cue => [
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+        // Cue text is markup: escape it, and "-->" may not appear in it
+        ...cue.lines.map(line => line
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/-->/g, '--&gt;'))
+    ].join('\n'));
+
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Cue shown at a time
+ * @param {Array<Object>} cues - [{ start, end, lines }] ordered by start
+ * @param {number} time - Playback time in seconds
+ * @returns {Object|null}
+ */
+export function findActiveCue(cues, time) {
+    return cues.find(cue => time >= cue.start && time < cue.end) || null;
+}
+
+/**
+ * Burned-in caption facts for an export request
+ * @param {Array<Object>} cues - Cues on the exported timeline
+ * @param {string|null} presetKey - Key of CAPTION_PRESETS, or null when captions are off
+ * @returns {Object|null} { preset, style, cues: [{ startTimeMs, endTimeMs, lines }] }
+ */
+export function buildCaptionFacts(cues, presetKey) {
+    const preset = CAPTION_PRESETS[presetKey];
+    if (!preset) return null;
+
+    const { label: _label, ...style } = preset;
+
+    return {
+        preset: presetKey,
+        style,
+        cues: cues.map(cue => ({
+            startTimeMs: Math.round(cue.start * 1000),
+            endTimeMs: Math.round(cue.end * 1000),
+            lines: cue.lines
+        }))
+    };
+}
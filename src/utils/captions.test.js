@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import {
+    CAPTION_MAX_LINES,
+    CAPTION_MAX_LINE_LENGTH,
+    buildNarrationCues,
+    formatVtt
+} from './captions';
+
+/** 60 words whose even split by character count wraps one cue to three lines */
+const LONG_NARRATION = 'availability a configure reservation settings in in in reservation in in a click ' +
+    'button configure a availability configure reservation button settings on button the availability ' +
+    'click a on we configure button the we calendar button the settings the button and calendar click ' +
+    'a button click calendar click calendar calendar availability reservation on on and reservation a a ' +
+    'button and settings';
+
+describe('buildNarrationCues', () => {
+    it('keeps every cue of a long narration within the line limits', () => {
+        const text = LONG_NARRATION;
+        const cues = buildNarrationCues([{ start: 0, end: 20, text }]);
+
+        expect(cues.length).toBeGreaterThan(1);
+        for (const cue of cues) {
+            expect(cue.lines.length).toBeLessThanOrEqual(CAPTION_MAX_LINES);
+            for (const line of cue.lines) {
+                expect(line.length).toBeLessThanOrEqual(CAPTION_MAX_LINE_LENGTH);
+            }
+        }
+
+        // No words lost or reordered by splitting
+        expect(cues.flatMap(cue => cue.lines).join(' ')).toBe(text);
+        expect(cues[0].start).toBe(0);
+        expect(cues[cues.length - 1].end).toBeGreaterThanOrEqual(20);
+    });
+});
+
+describe('formatVtt', () => {
+    it('escapes "-->" in cue text without dropping characters', () => {
+        const vtt = formatVtt([{ start: 0, end: 1, lines: ['a --> b'] }]);
+        expect(vtt).toContain('a --&gt; b');
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Cut Editing Utility
+ * Text-based cutting: removed ranges of the recording, kept as `cuts` ({ start, end } in
+ * seconds of the source video) on the session document.
+ *
+ * Everything else in the document stays in source time, so cuts can be undone and the preview
+ * simply skips them during playback. Only the export remaps effect, narration and action times
+ * onto the shorter output timeline.
+ */
+
+import { roundTime } from './timelineEditing';
+
+/** Ranges shorter than this are not worth a cut (and would only be a seek glitch) */
+export const MIN_CUT_DURATION = 0.05;
+
+/**
+ * Sort cuts and merge the ones that overlap or touch
+ * @param {Array<Object>} cuts - Cuts with start/end in seconds
+ * @returns {Array<Object>} Disjoint cuts ordered by start
+ */
+export function normalizeCuts(cuts = []) {
+    const sorted = cuts
+        .filter(cut => cut.end - cut.start >= MIN_CUT_DURATION)
+        .map(cut => ({ start: roundTime(cut.start), end: roundTime(cut.end) }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const cut of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && cut.start <= last.end) {
+            last.end = Math.max(last.end, cut.end);
+        } else {
+            merged.push(cut);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Add a removed range to a list of cuts
+ * @param {Array<Object>} cuts - Current cuts
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {Array<Object>} Normalized cuts including the range
+ */
+export function addCut(cuts, start, end) {
+    return normalizeCuts([...cuts, { start, end }]);
+}
+
+/**
+ * Restore a range, trimming or splitting the cuts that cover it
+ * @param {Array<Object>} cuts - Current cuts
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {Array<Object>} Normalized cuts without the range
+ */
+export function removeCutRange(cuts, start, end) {
+    return normalizeCuts(cuts.flatMap(cut => {
+        if (cut.end <= start || cut.start >= end) return [cut];
+        return [
+            { start: cut.start, end: start },
+            { start: end, end: cut.end }
+        ];
+    }));
+}
+
+/**
+ * Find the cut containing a time
+ * @param {Array<Object>} cuts - Normalized cuts
+ * @param {number} time - Source time in seconds
+ * @returns {Object|null} The cut, or null when the time is kept
+ */
+export function findCutAt(cuts = [], time) {
+    return cuts.find(cut => time >= cut.start && time < cut.end) || null;
+}
+
+/**
+ * Whether a range lies entirely inside the cuts
+ * @param {Array<Object>} cuts - Normalized cuts
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {boolean}
+ */
+export function isRangeCut(cuts = [], start, end) {
+    return cuts.some(cut => start >= cut.start && end <= cut.end);
+}
+
+/**
+ * Map a source time onto the output timeline (cut ranges removed)
+ * Times inside a cut collapse onto the point where the cut was.
+ * @param {number} time - Source time in seconds
+ * @param {Array<Object>} cuts - Normalized cuts
+ * @returns {number} Output time in seconds
+ */
+export function mapTimeThroughCuts(time, cuts = []) {
+    let removed = 0;
+
+    for (const cut of cuts) {
+        if (time <= cut.start) break;
+        removed += Math.min(time, cut.end) - cut.start;
+    }
+
+    return roundTime(time - removed);
+}
+
+/**
+ * Map a timed item onto the output timeline
+ * @param {Object} item - Object with start/end in source seconds
+ * @param {Array<Object>} cuts - Normalized cuts
+ * @returns {Object|null} Copy with output times, or null when the item was cut entirely
+ */
+export function remapWindow(item, cuts) {
+    const start = mapTimeThroughCuts(item.start, cuts);
+    const end = mapTimeThroughCuts(item.end, cuts);
+
+    return end - start > 0 ? { ...item, start, end } : null;
+}
+
+/**
+ * Session document on the output timeline, as sent for export
+ * Effects and narrations are remapped (and dropped when cut entirely); actions inside a cut
+ * are dropped, the rest move with the footage.
+ * @param {Object} document - Session document in source time
+ * @returns {Object} Document whose times follow the cut video
+ */
+export function applyCutsToDocument(document) {
+    const cuts = normalizeCuts(document.cuts);
+    if (cuts.length === 0) return document;
+
+    return {
+        ...document,
+        displayEffects: (document.displayEffects || []).map(effect => remapWindow(effect, cuts)).filter(Boolean),
+        narrations: (document.narrations || []).map(narration => remapWindow(narration, cuts)).filter(Boolean),
+        instructions: (document.instructions || [])
+            .filter(instruction => !Number.isFinite(instruction.t) || !findCutAt(cuts, instruction.t))
+            .map(instruction => (Number.isFinite(instruction.t)
+                ? { ...instruction, t: mapTimeThroughCuts(instruction.t, cuts) }
+                : instruction))
+    };
+}
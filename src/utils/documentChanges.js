@@ -0,0 +1,84 @@
+/**
+ * Document Changes Utility
+ * Item-level summary of how one session document differs from another
+ * (e.g. a local draft against the saved recording), per editable collection.
+ * Effects and narrations are matched like the compare view (instructionDiff);
+ * other collections are compared by index.
+ */
+
+import { EDITABLE_COLLECTIONS } from './editHistory';
+import { DIFF_COLLECTIONS, diffCollection } from './instructionDiff';
+
+/** Display names for the editable collections */
+const COLLECTION_LABELS = {
+    displayEffects: 'Effects',
+    narrations: 'Narrations',
+    instructions: 'Instructions',
+    cuts: 'Cuts'
+};
+
+/**
+ * Short human-readable description of a collection item
+ * @param {string} collection - Collection name
+ * @param {Object} item - Item
+ * @returns {string}
+ */
+export function describeItem(collection, item) {
+    if (collection === 'narrations') {
+        const text = item.text || '';
+        return `"${text.length > 40 ? `${text.slice(0, 40)}…` : text}"`;
+    }
+
+    if (collection === 'instructions') {
+        return `${item.action || 'step'} at ${item.t}s`;
+    }
+
+    if (collection === 'cuts') {
+        return `cut ${item.start.toFixed(1)}s–${item.end.toFixed(1)}s`;
+    }
+
+    return `${item.type || 'effect'} ${item.start}s–${item.end}s`;
+}
+
+/**
+ * Compare two session documents item by item
+ * @param {Object|null} base - Reference document (e.g. what the backend has)
+ * @param {Object|null} other - Document to compare (e.g. the local draft)
+ * @returns {Array<Object>} One entry per collection that differs:
+ *   { collection, label, added: string[], removed: string[], changed: string[] }
+ */
+export function summarizeDocumentChanges(base, other) {
+    return EDITABLE_COLLECTIONS
+        .map((collection) => {
+            const before = base?.[collection] || [];
+            const after = other?.[collection] || [];
+            const summary = {
+                collection,
+                label: COLLECTION_LABELS[collection],
+                added: [],
+                removed: [],
+                changed: []
+            };
+
+            if (DIFF_COLLECTIONS.includes(collection)) {
+                for (const entry of diffCollection(collection, before, after)) {
+                    if (entry.status === 'unchanged') continue;
+                    summary[entry.status].push(describeItem(collection, entry.right ?? entry.left));
+                }
+                return summary;
+            }
+
+            for (let i = 0; i < Math.max(before.length, after.length); i++) {
+                if (i >= before.length) {
+                    summary.added.push(describeItem(collection, after[i]));
+                } else if (i >= after.length) {
+                    summary.removed.push(describeItem(collection, before[i]));
+                } else if (JSON.stringify(before[i]) !== JSON.stringify(after[i])) {
+                    summary.changed.push(describeItem(collection, after[i]));
+                }
+            }
+
+            return summary;
+        })
+        .filter(summary => summary.added.length || summary.removed.length || summary.changed.length);
+}
@@ -0,0 +1,239 @@
+/**
+ * Edit History Utility
+ * Command-based undo/redo for the session document ({ displayEffects, narrations, instructions, ... }).
+ *
+ * Commands are plain data so they can be listed, merged and persisted:
+ * - update:  { collection, index, before, after }
+ * - insert:  { collection, index, item }
+ * - remove:  { collection, index, item }
+ * - replace: { collection, before, after } (whole collection, for multi-item edits)
+ * Every command also carries a human-readable label and an optional mergeKey.
+ */
+
+/** Collections of the session document that commands may edit */
+export const EDITABLE_COLLECTIONS = ['displayEffects', 'narrations', 'instructions', 'cuts'];
+
+/** Consecutive commands with the same mergeKey within this window collapse into one entry */
+const MERGE_WINDOW_MS = 1000;
+
+/** Oldest entries are dropped beyond this many undo steps (counted in the state's `dropped`) */
+const MAX_HISTORY = 200;
+
+/**
+ * Command that replaces one item of a collection
+ * @param {string} collection - Document collection name
+ * @param {number} index - Item index
+ * @param {Object} before - Item before the edit
+ * @param {Object} after - Item after the edit
+ * @param {string} label - Entry shown in the history list
+ * @param {string} [mergeKey] - Consecutive edits sharing this key (e.g. one drag) merge
+ * @returns {Object} Command
+ */
+export function updateItem(collection, index, before, after, label, mergeKey = null) {
+    return { type: 'update', collection, index, before, after, label, mergeKey };
+}
+
+/**
+ * Command that inserts an item into a collection
+ * @param {string} collection - Document collection name
+ * @param {number} index - Position of the new item
+ * @param {Object} item - Item to insert
+ * @param {string} label - Entry shown in the history list
+ * @returns {Object} Command
+ */
+export function insertItem(collection, index, item, label) {
+    return { type: 'insert', collection, index, item, label, mergeKey: null };
+}
+
+/**
+ * Command that removes an item from a collection
+ * @param {string} collection - Document collection name
+ * @param {number} index - Index of the removed item
+ * @param {Object} item - Item being removed (restored on undo)
+ * @param {string} label - Entry shown in the history list
+ * @returns {Object} Command
+ */
+export function removeItem(collection, index, item, label) {
+    return { type: 'remove', collection, index, item, label, mergeKey: null };
+}
+
+/**
+ * Command that replaces a whole collection (edits touching many items at once)
+ * @param {string} collection - Document collection name
+ * @param {Array} before - Collection before the edit
+ * @param {Array} after - Collection after the edit
+ * @param {string} label - Entry shown in the history list
+ * @param {string} [mergeKey] - Consecutive edits sharing this key merge
+ * @returns {Object} Command
+ */
+export function replaceCollection(collection, before, after, label, mergeKey = null) {
+    return { type: 'replace', collection, before, after, label, mergeKey };
+}
+
+/**
+ * Copy of the document with one collection transformed
+ * @param {Object} document - Session document
+ * @param {string} collection - Collection name
+ * @param {Function} transform - (items) => new items
+ * @returns {Object} New document
+ */
+function withCollection(document, collection, transform) {
+    if (!EDITABLE_COLLECTIONS.includes(collection)) {
+        throw new Error(`Unknown collection "${collection}"`);
+    }
+
+    return { ...document, [collection]: transform([...(document[collection] || [])]) };
+}
+
+/**
+ * Apply a command to a document
+ * @param {Object} document - Session document
+ * @param {Object} command - Command to apply
+ * @returns {Object} New document
+ */
+export function applyCommand(document, command) {
+    return withCollection(document, command.collection, (items) => {
+        switch (command.type) {
+            case 'update':
+                items[command.index] = command.after;
+                return items;
+            case 'insert':
+                items.splice(command.index, 0, command.item);
+                return items;
+            case 'remove':
+                items.splice(command.index, 1);
+                return items;
+            case 'replace':
+                return command.after;
+            default:
+                throw new Error(`Unknown command type "${command.type}"`);
+        }
+    });
+}
+
+/**
+ * Undo a command on a document
+ * @param {Object} document - Session document with the command applied
+ * @param {Object} command - Command to revert
+ * @returns {Object} New document
+ */
+export function revertCommand(document, command) {
+    return withCollection(document, command.collection, (items) => {
+        switch (command.type) {
+            case 'update':
+                items[command.index] = command.before;
+                return items;
+            case 'insert':
+                items.splice(command.index, 1);
+                return items;
+            case 'remove':
+                items.splice(command.index, 0, command.item);
+                return items;
+            case 'replace':
+                return command.before;
+            default:
+                throw new Error(`Unknown command type "${command.type}"`);
+        }
+    });
+}
+
+/**
+ * Initial history state for a document
+ * @param {Object|null} document - Session document
+ * @returns {Object} History state { document, past, future, dropped }, where dropped counts
+ *   the oldest commands trimmed off `past`; while it is non-zero, undoing all of `past`
+ *   stops at the oldest kept state rather than the original document
+ */
+export function createHistory(document) {
+    return { document, past: [], future: [], dropped: 0 };
+}
+
+/**
+ * Whether a new command continues the last one (same gesture) and should merge into it
+ * @param {Object} last - Last executed command
+ * @param {Object} command - New command
+ * @returns {boolean}
+ */
+function canMerge(last, command) {
+    return Boolean(
+        last &&
+        command.mergeKey &&
+        last.mergeKey === command.mergeKey &&
+        last.type === command.type &&
+        command.time - last.time < MERGE_WINDOW_MS
+    );
+}
+
+/**
+ * History reducer
+ * Actions: { type: 'execute', command, time } | { type: 'undo' } | { type: 'redo' } |
+ *          { type: 'jump', position } | { type: 'reset', document }
+ * @param {Object} state - History state
+ * @param {Object} action - Action
+ * @returns {Object} New history state
+ */
+export function historyReducer(state, action) {
+    switch (action.type) {
+        case 'execute': {
+            if (!state.document) return state;
+
+            const command = { ...action.command, time: action.time };
+            const last = state.past[state.past.length - 1];
+            const document = applyCommand(state.document, command);
+
+            if (canMerge(last, command)) {
+                // Keep the first "before" so one undo reverts the whole gesture
+                const merged = { ...command, before: last.before, label: last.label };
+                return { ...state, document, past: [...state.past.slice(0, -1), merged], future: [] };
+            }
+
+            const past = [...state.past, command];
+            const overflow = Math.max(0, past.length - MAX_HISTORY);
+
+            return {
+                document,
+                past: past.slice(overflow),
+                future: [],
+                dropped: state.dropped + overflow
+            };
+        }
+
+        case 'undo': {
+            const command = state.past[state.past.length - 1];
+            if (!command) return state;
+
+            return {
+                ...state,
+                document: revertCommand(state.document, command),
+                past: state.past.slice(0, -1),
+                future: [command, ...state.future]
+            };
+        }
+
+        case 'redo': {
+            const [command, ...future] = state.future;
+            if (!command) return state;
+
+            return {
+                ...state,
+                document: applyCommand(state.document, command),
+                past: [...state.past, command],
+                future
+            };
+        }
+
+        case 'jump': {
+            // position = number of kept commands applied (0 = original document unless some were dropped)
+            let next = state;
+            while (next.past.length > action.position) next = historyReducer(next, { type: 'undo' });
+            while (next.past.length < action.position && next.future.length) next = historyReducer(next, { type: 'redo' });
+            return next;
+        }
+
+        case 'reset':
+            return createHistory(action.document);
+
+        default:
+            throw new Error(`Unknown history action "${action.type}"`);
+    }
+}
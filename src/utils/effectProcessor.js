@@ -207,3 +207,256 @@ export function resolveZoomEffect(effects) {
         e.start > latest.start ? e : latest
     );
 }
+
+/** Zoom effects closer than this (seconds, end to start) form one chained camera move */
+export const CHAIN_MAX_GAP = 0.5;
+
+/** Length of the pan between two chained zoom targets, in seconds */
+export const CHAIN_PAN_DURATION = 0.6;
+
+/**
+ * Whether the camera should pan from one zoom effect to the next instead of
+ * zooming out and back in (the effects overlap or are back to back)
+ * @param {Object} previous - Earlier effect with start/end in seconds
+ * @param {Object} next - Later-starting effect with start/end in seconds
+ * @param {number} maxGap - Largest gap in seconds that still chains
+ * @returns {boolean} True when the transition is chained
+ */
+export function isChainedTransition(previous, next, maxGap = CHAIN_MAX_GAP) {
+    return next.start >= previous.start && next.start - previous.end <= maxGap;
+}
+
+/**
+ * Group effects into chains of overlapping or back-to-back effects
+ * @param {Array} effects - Array of effect objects with start/end
+ * @param {number} maxGap - Largest gap in seconds that still chains
+ * @returns {Array<Array>} Chains ordered by start time, each ordered by start time
+ */
+export function groupChainedEffects(effects, maxGap = CHAIN_MAX_GAP) {
+    const sorted = [...effects].sort((a, b) => a.start - b.start);
+    const chains = [];
+    let chainEnd = -Infinity;
+
+    for (const effect of sorted) {
+        const chain = chains[chains.length - 1];
+
+        if (chain && effect.start - chainEnd <= maxGap) {
+            chain.push(effect);
+            chainEnd = Math.max(chainEnd, effect.end);
+        } else {
+            chains.push([effect]);
+            chainEnd = effect.end;
+        }
+    }
+
+    return chains;
+}
+
+/**
+ * Compute the virtual camera for a chain of zoom targets
+ * Zooms in at the first target, pans (with easing) from each target to the next around
+ * the hand-off time, and zooms out after the last one - never zooming out in between.
+ *
+ * @param {Array<Object>} targets - Chain ordered by start: {start, end, centerX, centerY, scale}
+ * @param {number} currentTime - Current video time
+ * @returns {Object} {progress, centerX, centerY, scale} for calculateZoomTransform
+ */
+export function computeChainCamera(targets, currentTime) {
+    const first = targets[0];
+    const last = targets.reduce((latest, target) => target.end >= latest.end ? target : latest);
+    const chainStart = first.start;
+    const chainEnd = last.end;
+
+    // Zoom envelope: ease in over the first target, ease out over the last (25% each)
+    let progress = 1;
+    const easeIn = (first.end - first.start) * 0.25;
+    const easeOut = (last.end - last.start) * 0.25;
+
+    if (currentTime <= chainStart || currentTime >= chainEnd) {
+        progress = 0;
+    } else if (currentTime < chainStart + easeIn) {
+        progress = easeInOutCubic((currentTime - chainStart) / easeIn);
+    } else if (currentTime > chainEnd - easeOut) {
+        progress = easeInOutCubic((chainEnd - currentTime) / easeOut);
+    }
+
+    // Hand-off times: when the next target starts, or mid-gap for back-to-back targets
+    const handoffs = targets.slice(1).map((next, i) => {
+        const previous = targets[i];
+        return next.start <= previous.end ? next.start : (previous.end + next.start) / 2;
+    });
+
+    let from = first;
+    let to = first;
+    let panProgress = 0;
+
+    for (let i = 0; i < handoffs.length; i++) {
+        const handoff = handoffs[i];
+        const segmentStart = i === 0 ? chainStart : handoffs[i - 1];
+        const segmentEnd = i + 1 < handoffs.length ? handoffs[i + 1] : chainEnd;
+
+        // Keep neighbouring pans from overlapping on short targets
+        const halfPan = Math.min(
+            CHAIN_PAN_DURATION / 2,
+            (handoff - segmentStart) / 2,
+            (segmentEnd - handoff) / 2
+        );
+
+        if (currentTime < handoff - halfPan) break;
+
+        from = targets[i];
+        to = targets[i + 1];
+
+        if (currentTime >= handoff + halfPan || halfPan <= 0) {
+            from = to;
+            panProgress = 0;
+        } else {
+            panProgress = easeInOutCubic((currentTime - (handoff - halfPan)) / (halfPan * 2));
+        }
+    }
+
+    return {
+        progress,
+        centerX: from.centerX + (to.centerX - from.centerX) * panProgress,
+        centerY: from.centerY + (to.centerY - from.centerY) * panProgress,
+        scale: from.scale + (to.scale - from.scale) * panProgress
+    };
+}
+
+/**
+ * Get the rectangle the video picture occupies inside its element box
+ * Mirrors CSS object-fit: contain (letterboxing or pillarboxing as needed)
+ * @param {number} boxWidth - Rendered element width in CSS pixels
+ * @param {number} boxHeight - Rendered element height in CSS pixels
+ * @param {number} videoWidth - Intrinsic video width (recording resolution)
+ * @param {number} videoHeight - Intrinsic video height (recording resolution)
+ * @returns {Object} Content rect {x, y, width, height} in CSS pixels, relative to the element
+ */
+export function getContainedVideoRect(boxWidth, boxHeight, videoWidth, videoHeight) {
+    if (!boxWidth || !boxHeight || !videoWidth || !videoHeight) {
+        return { x: 0, y: 0, width: boxWidth || 0, height: boxHeight || 0 };
+    }
+
+    const scale = Math.min(boxWidth / videoWidth, boxHeight / videoHeight);
+    const width = videoWidth * scale;
+    const height = videoHeight * scale;
+
+    return {
+        x: (boxWidth - width) / 2,
+        y: (boxHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Convert recording-space bounds to CSS pixels inside the video element
+ * @param {Object} bounds - Bounds {x, y, width, height} in recording resolution
+ * @param {Object} contentRect - Result of getContainedVideoRect
+ * @param {number} recordingWidth - Original recording width
+ * @param {number} recordingHeight - Original recording height
+ * @returns {Object} Display rect {x, y, width, height} in CSS pixels
+ */
+export function recordingToDisplayRect(bounds, contentRect, recordingWidth, recordingHeight) {
+    const scaleX = contentRect.width / recordingWidth;
+    const scaleY = contentRect.height / recordingHeight;
+
+    return {
+        x: contentRect.x + bounds.x * scaleX,
+        y: contentRect.y + bounds.y * scaleY,
+        width: bounds.width * scaleX,
+        height: bounds.height * scaleY
+    };
+}
+
+/**
+ * Apply a zoom transform (as returned by calculateZoomTransform, in recording pixels)
+ * to the displayed picture: where the whole recording lands after zooming
+ * Used by the canvas renderer to draw each frame with the same math as the CSS preview
+ * @param {Object|null} transform - {scale, translateX, translateY}, or null for identity
+ * @param {Object} contentRect - Result of getContainedVideoRect
+ * @param {number} recordingWidth - Original recording width
+ * @param {number} recordingHeight - Original recording height
+ * @returns {Object} Zoomed rect {x, y, width, height, scale} in CSS pixels
+ */
+export function getZoomedContentRect(transform, contentRect, recordingWidth, recordingHeight) {
+    const { scale = 1, translateX = 0, translateY = 0 } = transform || {};
+    const pixelsPerUnit = contentRect.width / recordingWidth;
+
+    return {
+        x: contentRect.x + translateX * pixelsPerUnit,
+        y: contentRect.y + translateY * pixelsPerUnit,
+        width: recordingWidth * pixelsPerUnit * scale,
+        height: recordingHeight * pixelsPerUnit * scale,
+        scale
+    };
+}
+
+/**
+ * The zoom transform as a CSS transform of a layer covering the video element box
+ * (the video itself, or an overlay sized to it), around the layer's top-left corner.
+ * Both renderers go through getZoomedContentRect, so the CSS preview and the canvas
+ * renderer frame every zoom the same; the layers must use transform-origin: 0 0.
+ * @param {Object|null} transform - {scale, translateX, translateY} in recording pixels, or null for identity
+ * @param {Object} contentRect - Result of getContainedVideoRect
+ * @param {number} recordingWidth - Original recording width
+ * @param {number} recordingHeight - Original recording height
+ * @returns {Object} {scale, translateX, translateY} in CSS pixels, for buildTransformString
+ */
+export function getLayerTransform(transform, contentRect, recordingWidth, recordingHeight) {
+    const zoomed = getZoomedContentRect(transform, contentRect, recordingWidth, recordingHeight);
+
+    return {
+        scale: zoomed.scale,
+        translateX: zoomed.x - contentRect.x * zoomed.scale,
+        translateY: zoomed.y - contentRect.y * zoomed.scale
+    };
+}
+
+/**
+ * Where a layer transform (transform-origin: 0 0) moves a rect of the layer
+ * @param {Object} layerTransform - Result of getLayerTransform
+ * @param {Object} rect - Rect {x, y, width, height} in the layer's CSS pixels
+ * @returns {Object} Transformed rect {x, y, width, height}
+ */
+export function applyLayerTransform({ scale, translateX, translateY }, rect) {
+    return {
+        x: rect.x * scale + translateX,
+        y: rect.y * scale + translateY,
+        width: rect.width * scale,
+        height: rect.height * scale
+    };
+}
+
+/**
+ * Convert a point in CSS pixels inside the video element to recording space
+ * @param {number} displayX - X offset from the element's left edge
+ * @param {number} displayY - Y offset from the element's top edge
+ * @param {Object} contentRect - Result of getContainedVideoRect
+ * @param {number} recordingWidth - Original recording width
+ * @param {number} recordingHeight - Original recording height
+ * @returns {Object} Point {x, y} in recording resolution (not clamped)
+ */
+export function displayToRecordingPoint(displayX, displayY, contentRect, recordingWidth, recordingHeight) {
+    return {
+        x: (displayX - contentRect.x) * recordingWidth / contentRect.width,
+        y: (displayY - contentRect.y) * recordingHeight / contentRect.height
+    };
+}
+
+/**
+ * Clamp bounds so they sit fully inside the recording frame with whole-pixel values
+ * Produces bounds that satisfy the frame checks in validateZoomInstruction
+ * @param {Object} bounds - Bounds {x, y, width, height} in recording resolution
+ * @param {number} recordingWidth - Original recording width
+ * @param {number} recordingHeight - Original recording height
+ * @returns {Object} Clamped bounds {x, y, width, height}
+ */
+export function clampBoundsToFrame(bounds, recordingWidth, recordingHeight) {
+    const width = Math.max(1, Math.min(Math.round(bounds.width), recordingWidth));
+    const height = Math.max(1, Math.min(Math.round(bounds.height), recordingHeight));
+    const x = Math.max(0, Math.min(Math.round(bounds.x), recordingWidth - width));
+    const y = Math.max(0, Math.min(Math.round(bounds.y), recordingHeight - height));
+
+    return { x, y, width, height };
+}
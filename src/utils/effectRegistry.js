@@ -0,0 +1,556 @@
+/**
+ * Effect Registry
+ * Single place where each effect type declares how it is exported and previewed:
+ * - which display effects it applies to
+ * - which fact fields its instruction carries (on top of BASE_INSTRUCTION_FIELDS)
+ * - how those facts are validated
+ * - how the CSS preview renders it (video-layer transform or overlay layers)
+ *
+ * Adding a new effect = one registerEffectType() call at the bottom of this file.
+ * Preview renderers return plain transform values / style objects, never instruction data.
+ */
+
+import {
+    BASE_INSTRUCTION_FIELDS,
+    DEFAULT_BLUR_INTENSITY,
+    MIN_BLUR_INTENSITY,
+    MAX_BLUR_INTENSITY,
+    generateEffectInstruction,
+    validateBaseInstruction,
+    checkInstructionPurity
+} from './instructionGenerator';
+import {
+    calculateZoomTransform,
+    computeEffectProgress,
+    computeChainCamera,
+    getActiveEffects,
+    groupChainedEffects,
+    isChainedTransition,
+    resolveZoomEffect
+} from './effectProcessor';
+
+const effectTypes = new Map();
+
+/**
+ * Register an effect type
+ * @param {Object} definition
+ * @param {string} definition.type - Instruction effect name sent to the backend
+ * @param {Function} definition.appliesTo - (displayEffect) => boolean
+ * @param {Array<string>} [definition.factFields] - Extra instruction fields this type declares
+ * @param {Function} [definition.getFacts] - (displayEffect, { effects }) => object with the fact fields
+ * @param {Function} [definition.validateFacts] - (instruction) => string[] of errors
+ * @param {boolean} [definition.usesBounds] - false for effects without a target area
+ * @param {boolean} [definition.exported] - false for preview-only types the render backend does not support yet
+ * @param {Object} [definition.preview] - { transform(effect, time), camera(effect) } or { overlay(effect, context) };
+ *   types with camera(effect) => {centerX, centerY, scale} pan between back-to-back effects
+ * @param {Object} [definition.editor] - { label, defaultStyle(previousStyle), displayType } for the inspector
+ */
+export function registerEffectType(definition) {
+    if (!definition?.type || typeof definition.appliesTo !== 'function') {
+        throw new Error('Effect type needs a "type" and an "appliesTo" function');
+    }
+
+    if (effectTypes.has(definition.type)) {
+        throw new Error(`Effect type "${definition.type}" is already registered`);
+    }
+
+    effectTypes.set(definition.type, {
+        factFields: [],
+        getFacts: () => ({}),
+        validateFacts: () => [],
+        usesBounds: true,
+        exported: true,
+        preview: {},
+        editor: null,
+        ...definition
+    });
+}
+
+/**
+ * Look up a registered effect type
+ * @param {string} type - Effect type name
+ * @returns {Object|undefined} Registered definition
+ */
+export function getEffectType(type) {
+    return effectTypes.get(type);
+}
+
+/**
+ * List all registered effect types in registration order
+ * @returns {Array<Object>} Registered definitions
+ */
+export function getEffectTypes() {
+    return [...effectTypes.values()];
+}
+
+/**
+ * Effect types that can be picked in the timeline inspector
+ * @returns {Array<Object>} Definitions with an editor section
+ */
+export function getEditableEffectTypes() {
+    return getEffectTypes().filter(definition => definition.editor);
+}
+
+/**
+ * Find the inspector kind of a display effect (first editable type that applies)
+ * @param {Object} effect - Display effect
+ * @returns {string|null} Effect type name
+ */
+export function getEffectKind(effect) {
+    const definition = getEditableEffectTypes().find(def => def.appliesTo(effect));
+    return definition ? definition.type : null;
+}
+
+/**
+ * Convert a display effect to another editable kind, keeping its timing and target
+ * @param {Object} effect - Display effect to convert
+ * @param {string} type - Registered effect type to switch to
+ * @returns {Object} Converted display effect
+ */
+export function changeEffectKind(effect, type) {
+    const definition = effectTypes.get(type);
+    if (!definition?.editor) return effect;
+
+    return {
+        ...effect,
+        type: definition.editor.displayType || type,
+        style: definition.editor.defaultStyle(effect.style || {})
+    };
+}
+
+// =============================================================================
+// Instruction generation and validation
+// =============================================================================
+
+/**
+ * Generate pure instructions for every registered type that applies to each effect
+ * Preview-only types are skipped unless asked for by name.
+ * @param {Array<Object>} effects - Array of display effects
+ * @param {Object} frameSize - The video frame dimensions
+ * @param {Array<string>} [types] - Limit generation to these effect types
+ * @returns {Array<Object>} Pure instructions ordered by start time
+ */
+export function generateInstructions(effects, frameSize, types = null) {
+    const instructions = [];
+
+    for (const definition of effectTypes.values()) {
+        if (types ? !types.includes(definition.type) : !definition.exported) continue;
+
+        for (const effect of effects) {
+            if (definition.usesBounds && !effect.target?.bounds) continue;
+            if (!definition.appliesTo(effect)) continue;
+
+            instructions.push(generateEffectInstruction(
+                definition.type,
+                effect,
+                frameSize,
+                definition.getFacts(effect, { effects }),
+                { withBounds: definition.usesBounds }
+            ));
+        }
+    }
+
+    return instructions.sort((a, b) => a.startTimeMs - b.startTimeMs);
+}
+
+/**
+ * Generate multiple zoom instructions from an array of effects
+ * @param {Array<Object>} effects - Array of display effects
+ * @param {Object} frameSize - The video frame dimensions
+ * @returns {Array<Object>} Array of pure instructions
+ */
+export function generateZoomInstructions(effects, frameSize) {
+    return generateInstructions(effects, frameSize, ['zoom']);
+}
+
+/**
+ * Generate multiple blur instructions from an array of effects
+ * @param {Array<Object>} effects - Array of display effects
+ * @param {Object} frameSize - The video frame dimensions
+ * @returns {Array<Object>} Array of pure instructions
+ */
+export function generateBlurInstructions(effects, frameSize) {
+    return generateInstructions(effects, frameSize, ['blur']);
+}
+
+/**
+ * Validate an instruction against its registered type
+ * @param {Object} instruction - The instruction to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateInstruction(instruction) {
+    const definition = effectTypes.get(instruction?.effect);
+
+    if (!definition) {
+        return { valid: false, errors: [`Unknown effect type "${instruction?.effect}"`] };
+    }
+
+    const errors = [
+        ...validateBaseInstruction(instruction, definition.type, { withBounds: definition.usesBounds }),
+        ...definition.validateFacts(instruction)
+    ];
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Check an instruction only carries forbidden-free, declared fields for its type
+ * @param {Object} instruction - The instruction to check
+ * @returns {Object} { clean: boolean, violations: string[] }
+ */
+export function checkRegisteredInstructionPurity(instruction) {
+    const definition = effectTypes.get(instruction?.effect);
+    const allowedFields = definition
+        ? [...BASE_INSTRUCTION_FIELDS, ...definition.factFields]
+        : BASE_INSTRUCTION_FIELDS;
+
+    return checkInstructionPurity(instruction, allowedFields);
+}
+
+// =============================================================================
+// Preview dispatch
+// =============================================================================
+
+/**
+ * Whether any registered type previews this effect by transforming the video layer
+ * @param {Object} effect - Display effect
+ * @returns {boolean}
+ */
+export function hasTransformPreview(effect) {
+    return getEffectTypes().some(definition =>
+        definition.preview.transform && definition.appliesTo(effect)
+    );
+}
+
+/**
+ * Registered type that drives the virtual camera for an effect, if any
+ * @param {Object} effect - Display effect
+ * @returns {Object|undefined} Definition with preview.camera
+ */
+function getCameraDefinition(effect) {
+    return getEffectTypes().find(definition => definition.preview.camera && definition.appliesTo(effect));
+}
+
+/**
+ * Compute the camera transform for a chain of back-to-back camera effects
+ * @param {Array<Object>} normalizedEffects - Effects with normalizedBounds attached
+ * @param {number} currentTime - Current video time in seconds
+ * @returns {Object|null} { effect, scale, translateX, translateY } or null when no chain is active
+ */
+function computeChainedTransform(normalizedEffects, currentTime) {
+    const cameraEffects = normalizedEffects.filter(effect => getCameraDefinition(effect));
+
+    // Latest-starting active chain wins, matching resolveZoomEffect
+    const chain = groupChainedEffects(cameraEffects)
+        .filter(candidate => candidate.length > 1)
+        .filter(candidate => currentTime >= candidate[0].start &&
+            currentTime <= Math.max(...candidate.map(effect => effect.end)))
+        .pop();
+
+    if (!chain) return null;
+
+    const targets = chain.map(effect => ({
+        start: effect.start,
+        end: effect.end,
+        ...getCameraDefinition(effect).preview.camera(effect)
+    }));
+    const camera = computeChainCamera(targets, currentTime);
+
+    return {
+        effect: resolveZoomEffect(getActiveEffects(chain, currentTime)) || chain[0],
+        chained: true,
+        ...calculateZoomTransform(camera.progress, camera.centerX, camera.centerY, camera.scale)
+    };
+}
+
+/**
+ * Compute the video-layer transform for the current time
+ * Back-to-back camera effects pan from one target to the next while staying zoomed in
+ * @param {Array<Object>} normalizedEffects - Effects with normalizedBounds attached
+ * @param {number} currentTime - Current video time in seconds
+ * @returns {Object|null} { effect, scale, translateX, translateY } or null for identity
+ */
+export function computePreviewTransform(normalizedEffects, currentTime) {
+    const chained = computeChainedTransform(normalizedEffects, currentTime);
+    if (chained) return chained;
+
+    const activeEffects = getActiveEffects(normalizedEffects, currentTime);
+    if (activeEffects.length === 0) return null;
+
+    // Use deterministic resolver for overlapping effects
+    const effect = resolveZoomEffect(activeEffects);
+    const definition = getEffectTypes().find(def => def.preview.transform && def.appliesTo(effect));
+    if (!definition) return null;
+
+    return { effect, ...definition.preview.transform(effect, currentTime) };
+}
+
+/**
+ * Collect overlay layers (absolutely positioned boxes) for the active effects
+ * Layers marked exclusive share one slot per className; the latest-starting effect wins,
+ * matching resolveZoomEffect
+ *
+ * @param {Array<Object>} effects - Display effects
+ * @param {number} currentTime - Current video time in seconds
+ * @param {Function} toDisplayRect - (bounds) => display rect in CSS pixels
+ * @param {number} displayScale - CSS pixels per recording pixel
+ * @returns {Array<Object>} Layers { key, className, rect, style }
+ */
+export function getPreviewOverlayLayers(effects, currentTime, toDisplayRect, displayScale) {
+    const activeEffects = getActiveEffects(
+        effects.filter(effect => effect.target?.bounds),
+        currentTime
+    );
+
+    const layers = [];
+    const exclusive = new Map();
+
+    activeEffects.forEach((effect, effectIndex) => {
+        for (const definition of effectTypes.values()) {
+            if (!definition.preview.overlay || !definition.appliesTo(effect)) continue;
+
+            const context = {
+                currentTime,
+                rect: toDisplayRect(effect.target.bounds),
+                displayScale,
+                progress: computeEffectProgress(currentTime, effect.start, effect.end, 0.25, 0.25)
+            };
+
+            definition.preview.overlay(effect, context).forEach((layer, layerIndex) => {
+                const entry = {
+                    key: `${definition.type}-${effectIndex}-${layerIndex}`,
+                    rect: context.rect,
+                    start: effect.start,
+                    ...layer
+                };
+
+                if (!layer.exclusive) {
+                    layers.push(entry);
+                    return;
+                }
+
+                const current = exclusive.get(layer.className);
+                if (!current || entry.start > current.start) {
+                    exclusive.set(layer.className, entry);
+                }
+            });
+        }
+    });
+
+    return [...exclusive.values(), ...layers];
+}
+
+// =============================================================================
+// Built-in effect types
+// =============================================================================
+
+/** Maximum opacity of the dimmed area, reached during the hold phase */
+const DIM_OPACITY = 0.55;
+
+/** Preview blur radius per intensity level, in recording-space pixels */
+const BLUR_PX_PER_LEVEL = 4;
+
+const OUTLINE_KINDS = ['click', 'focus'];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const ZOOM_TRANSITIONS = ['chained', 'none'];
+
+/**
+ * Whether a zoom effect continues the camera move of an earlier zoom effect
+ * @param {Object} effect - Display effect
+ * @param {Array<Object>} effects - All display effects being exported
+ * @returns {boolean} True when the backend should pan into this effect
+ */
+function isChainedZoom(effect, effects) {
+    const zoomEffects = effects.filter(other => other.target?.bounds && other.style?.zoom?.enabled);
+    const index = zoomEffects.indexOf(effect);
+
+    return zoomEffects.some((other, otherIndex) =>
+        other !== effect &&
+        // Equal starts chain in list order so exactly one of the pair starts the move
+        (other.start < effect.start || (other.start === effect.start && otherIndex < index)) &&
+        isChainedTransition(other, effect)
+    );
+}
+
+registerEffectType({
+    type: 'zoom',
+    appliesTo: effect => Boolean(effect.style?.zoom?.enabled),
+    factFields: ['transition'],
+    getFacts: (effect, { effects }) => ({
+        transition: isChainedZoom(effect, effects) ? 'chained' : 'none'
+    }),
+    validateFacts(instruction) {
+        if (!ZOOM_TRANSITIONS.includes(instruction.transition)) {
+            return [`transition must be one of ${ZOOM_TRANSITIONS.join(', ')}`];
+        }
+        return [];
+    },
+    preview: {
+        transform(effect, currentTime) {
+            const { centerX, centerY, scale } = this.camera(effect);
+
+            // Compute progress with easing (25% ease-in, 25% ease-out)
+            const progress = computeEffectProgress(currentTime, effect.start, effect.end, 0.25, 0.25);
+
+            return calculateZoomTransform(progress, centerX, centerY, scale);
+        },
+        camera(effect) {
+            const { centerX, centerY, autoScale } = effect.normalizedBounds;
+            // Use auto-calculated scale based on bounding box size
+            // Fallback to manual scale if autoScale not available
+            return { centerX, centerY, scale: autoScale || effect.style.zoom.scale };
+        }
+    },
+    editor: {
+        label: 'Zoom',
+        displayType: 'highlight',
+        defaultStyle: () => ({
+            dimBackground: false,
+            outline: 'focus',
+            zoom: {
+                enabled: true,
+                scale: 1.08
+            }
+        })
+    }
+});
+
+registerEffectType({
+    type: 'highlight',
+    // Preview only: /render/zoom/batch renders zoom and blur
+    exported: false,
+    appliesTo: effect => Boolean(effect.style?.dimBackground || effect.style?.outline),
+    factFields: ['dimBackground', 'outline'],
+    getFacts: effect => ({
+        dimBackground: Boolean(effect.style.dimBackground),
+        outline: effect.style.outline || null
+    }),
+    validateFacts(instruction) {
+        const errors = [];
+        if (typeof instruction.dimBackground !== 'boolean') {
+            errors.push('dimBackground must be a boolean');
+        }
+        if (instruction.outline !== null && !OUTLINE_KINDS.includes(instruction.outline)) {
+            errors.push(`outline must be one of ${OUTLINE_KINDS.join(', ')} or null`);
+        }
+        return errors;
+    },
+    preview: {
+        overlay(effect, { progress }) {
+            const layers = [];
+
+            // Only one dim can be visible at a time
+            if (effect.style.dimBackground) {
+                layers.push({
+                    className: 'effect-dim',
+                    exclusive: true,
+                    style: { boxShadow: `0 0 0 9999px rgba(0, 0, 0, ${(DIM_OPACITY * progress).toFixed(3)})` }
+                });
+            }
+
+            if (effect.style.outline) {
+                layers.push({
+                    className: `effect-outline ${effect.style.outline}`,
+                    style: { opacity: progress }
+                });
+            }
+
+            return layers;
+        }
+    }
+});
+
+registerEffectType({
+    type: 'blur',
+    appliesTo: effect => Boolean(effect.style?.blur?.enabled),
+    factFields: ['intensity'],
+    getFacts: effect => ({
+        intensity: effect.style.blur.intensity ?? DEFAULT_BLUR_INTENSITY
+    }),
+    validateFacts(instruction) {
+        if (!Number.isInteger(instruction.intensity) ||
+            instruction.intensity < MIN_BLUR_INTENSITY ||
+            instruction.intensity > MAX_BLUR_INTENSITY) {
+            return [`intensity must be an integer between ${MIN_BLUR_INTENSITY} and ${MAX_BLUR_INTENSITY}`];
+        }
+        return [];
+    },
+    preview: {
+        // Blur is a redaction, so it is shown at full strength for its whole window
+        overlay(effect, { displayScale }) {
+            const radius = (effect.style.blur.intensity ?? DEFAULT_BLUR_INTENSITY) * BLUR_PX_PER_LEVEL * displayScale;
+            return [{
+                className: 'effect-blur',
+                style: {
+                    backdropFilter: `blur(${radius.toFixed(1)}px)`,
+                    WebkitBackdropFilter: `blur(${radius.toFixed(1)}px)`
+                }
+            }];
+        }
+    },
+    editor: {
+        label: 'Blur / Redact',
+        displayType: 'blur',
+        defaultStyle: previous => ({
+            blur: {
+                enabled: true,
+                intensity: previous.blur?.intensity ?? DEFAULT_BLUR_INTENSITY
+            }
+        })
+    }
+});
+
+registerEffectType({
+    type: 'callout',
+    exported: false,
+    appliesTo: effect => Boolean(effect.style?.callout?.enabled),
+    factFields: ['stroke'],
+    getFacts: effect => ({
+        stroke: {
+            color: effect.style.callout.color || '#f59e0b',
+            width: effect.style.callout.width || 4
+        }
+    }),
+    validateFacts(instruction) {
+        const errors = [];
+        if (!instruction.stroke) {
+            errors.push('stroke is required');
+        } else {
+            if (!HEX_COLOR.test(instruction.stroke.color)) {
+                errors.push('stroke.color must be a #RRGGBB color');
+            }
+            if (typeof instruction.stroke.width !== 'number' || instruction.stroke.width <= 0) {
+                errors.push('stroke.width must be a positive number');
+            }
+        }
+        return errors;
+    },
+    preview: {
+        overlay(effect, { progress, displayScale }) {
+            const width = Math.max(1, (effect.style.callout.width || 4) * displayScale);
+            return [{
+                className: 'effect-callout',
+                style: {
+                    border: `${width.toFixed(1)}px solid ${effect.style.callout.color || '#f59e0b'}`,
+                    opacity: progress
+                }
+            }];
+        }
+    },
+    editor: {
+        label: 'Callout',
+        displayType: 'callout',
+        defaultStyle: () => ({
+            callout: {
+                enabled: true,
+                color: '#f59e0b',
+                width: 4
+            }
+        })
+    }
+});
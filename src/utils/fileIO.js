@@ -0,0 +1,108 @@
+/**
+ * File IO Utility
+ * Reading local files picked or dropped into the app, and saving documents back out.
+ */
+
+/** Give up probing a media file for a video track after this long */
+const PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a media file has a video track
+ * Loads its metadata in a detached <video>: audio-only files report a videoWidth of 0.
+ * @param {File} file - Media file
+ * @returns {Promise<boolean|null>} null when the browser cannot read the file
+ */
+function probeVideoTrack(file) {
+    return new Promise((resolve) => {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.preload = 'metadata';
+        video.muted = true;
+
+        let timer = null;
+        const finish = (hasVideo) => {
+            clearTimeout(timer);
+            URL.revokeObjectURL(url);
+            video.removeAttribute('src');
+            video.load();
+            resolve(hasVideo);
+        };
+
+        video.addEventListener('loadedmetadata', () => finish(video.videoWidth > 0), { once: true });
+        video.addEventListener('error', () => finish(null), { once: true });
+        timer = setTimeout(() => finish(null), PROBE_TIMEOUT_MS);
+        video.src = url;
+    });
+}
+
+/**
+ * Decide what a local file is for in the preview
+ * Browsers report .webm audio recordings as video/webm, so video files are probed for a
+ * video track and audio-only ones go to the audio slot, whatever their name.
+ * @param {File} file - Picked or dropped file
+ * @returns {Promise<'video'|'audio'|'instructions'|null>} Slot for the file, or null when unsupported
+ */
+export async function classifyFile(file) {
+    const name = file.name.toLowerCase();
+
+    if (file.type === 'application/json' || name.endsWith('.json')) {
+        return 'instructions';
+    }
+    if (file.type.startsWith('audio/')) {
+        return 'audio';
+    }
+    if (file.type.startsWith('video/') || name.endsWith('.webm')) {
+        const hasVideo = await probeVideoTrack(file);
+        if (hasVideo === false) return 'audio';
+        // Unreadable files still go where their type says; the player reports the error
+        return file.type.startsWith('video/') || hasVideo ? 'video' : null;
+    }
+
+    return null;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {File} file - JSON file
+ * @returns {Promise<Object>} Parsed content
+ * @throws {Error} When the file is not valid JSON
+ */
+export async function readJsonFile(file) {
+    const text = await file.text();
+
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${file.name} is not valid JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Save data as a file through a temporary download link
+ * @param {Blob|string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} [type] - MIME type (when content is a string)
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Save a document as a formatted JSON file
+ * @param {Object} data - Document to save
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJson(data, filename) {
+    downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
@@ -0,0 +1,240 @@
+/**
+ * Guide Export Utility
+ * Takes a generated guide (buildGuideSteps) out of the app for the docs team:
+ * - Markdown with an images/ folder, packaged as a zip
+ * - one self-contained HTML file with the screenshots inlined
+ * - the same HTML with a print stylesheet, for the browser's "Save as PDF"
+ *
+ * Every format starts with the session's front matter (title, sessionId), so an exported
+ * guide can always be traced back to its recording.
+ */
+
+import { createZip } from './zipArchive';
+
+/** File extension of each screenshot type */
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/jpeg': 'jpg'
+};
+
+/**
+ * Page styles of the exported HTML, including the print layout used for PDFs:
+ * A4 margins, one step never split across pages, screenshots scaled to fit
+ */
+export const GUIDE_PRINT_CSS = `
+:root { color-scheme: light; }
+body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1f2937; line-height: 1.6; }
+main { max-width: 760px; margin: 0 auto; padding: 2.5rem 1.5rem; }
+header { border-bottom: 2px solid #6366f1; padding-bottom: 1rem; margin-bottom: 2rem; }
+header h1 { margin: 0 0 0.25rem; font-size: 2rem; }
+header p { margin: 0; color: #6b7280; font-size: 0.875rem; }
+.step { margin-bottom: 2.5rem; }
+.step h2 { display: flex; gap: 0.75rem; align-items: baseline; font-size: 1.25rem; margin: 0 0 0.5rem; }
+.step-number { color: #6366f1; }
+.step p { margin: 0 0 1rem; white-space: pre-wrap; }
+.step img { display: block; max-width: 100%; border: 1px solid #e5e7eb; border-radius: 8px; }
+
+@page { size: A4; margin: 18mm 16mm; }
+@media print {
+    main { max-width: none; padding: 0; }
+    header { break-after: avoid; }
+    .step { break-inside: avoid; page-break-inside: avoid; }
+    .step h2 { break-after: avoid; }
+    .step img { max-height: 120mm; width: auto; margin: 0 auto; border-color: #d1d5db; }
+}
+`;
+
+/**
+ * Lowercase, dash-separated form of a title, for file names
+ * @param {string} text - Title
+ * @returns {string}
+ */
+export function slugify(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'guide';
+}
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape characters Markdown would read as inline formatting
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * File name of a step's screenshot inside the Markdown package
+ * @param {Object} step - Guide step
+ * @param {Blob} image - Captured screenshot
+ * @returns {string} e.g. images/step-01.png
+ */
+export function getStepImageName(step, image) {
+    const extension = IMAGE_EXTENSIONS[image.type] || 'png';
+    return `images/step-${String(step.number).padStart(2, '0')}.${extension}`;
+}
+
+/**
+ * YAML front matter of an exported guide
+ * Strings are written JSON-quoted, which YAML reads as double-quoted scalars.
+ * @param {Object} meta - { sessionId, title }
+ * @param {number} stepCount - Number of steps
+ * @param {Date} [exportedAt] - Export date
+ * @returns {string}
+ */
+export function buildFrontMatter({ sessionId, title }, stepCount, exportedAt = new Date()) {
+    return [
+        '---',
+        `title: ${JSON.stringify(title || '')}`,
+        `sessionId: ${JSON.stringify(sessionId || '')}`,
+        `steps: ${stepCount}`,
+        `exported: ${JSON.stringify(exportedAt.toISOString())}`,
+        '---'
+    ].join('\n');
+}
+
+/**
+ * Markdown document of a guide
+ * @param {Array<Object>} steps - Guide steps
+ * @param {Array<string|null>} imageNames - Screenshot path per step, null when it has none
+ * @param {Object} meta - { sessionId, title }
+ * @returns {string}
+ */
+export function buildGuideMarkdown(steps, imageNames, meta) {
+    const sections = steps.map((step, idx) => {
+        const lines = [`## ${step.number}. ${escapeMarkdown(step.title)}`, ''];
+        if (step.text.trim()) lines.push(step.text.trim(), '');
+        if (imageNames[idx]) lines.push(`![${escapeMarkdown(step.title)}](${imageNames[idx]})`, '');
+        return lines.join('\n');
+    });
+
+    return [
+        buildFrontMatter(meta, steps.length),
+        '',
+        `# ${escapeMarkdown(meta.title)}`,
+        '',
+        ...sections
+    ].join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Self-contained HTML document of a guide, styled for screen and print
+ * The front matter is carried as <meta> tags.
+ * @param {Array<Object>} steps - Guide steps
+ * @param {Array<string|null>} imageSources - Image URL (data: URL to be self-contained) per step
+ * @param {Object} meta - { sessionId, title }
+ * @param {Date} [exportedAt] - Export date
+ * @returns {string}
+ */
+export function buildGuideHtml(steps, imageSources, { sessionId, title }, exportedAt = new Date()) {
+    const sections = steps.map((step, idx) => `
+    <section class="step">
+        <h2><span class="step-number">${step.number}.</span> ${escapeHtml(step.title)}</h2>
+        ${step.text.trim() ? `<p>${escapeHtml(step.text.trim())}</p>` : ''}
+        ${imageSources[idx] ? `<img src="${imageSources[idx]}" alt="${escapeHtml(step.title)}">` : ''}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="session-id" content="${escapeHtml(sessionId)}">
+<meta name="exported" content="${exportedAt.toISOString()}">
+<title>${escapeHtml(title)}</title>
+<style>${GUIDE_PRINT_CSS}</style>
+</head>
+<body>
+<main>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${steps.length} steps · Session ${escapeHtml(sessionId)}</p>
+    </header>${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Read a blob as a data: URL
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>}
+ */
+function toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Package a guide as a zip of <title>.md and its images/ folder
+ * @param {Array<Object>} steps - Guide steps
+ * @param {Array<Blob|null>} images - Screenshot per step
+ * @param {Object} meta - { sessionId, title }
+ * @returns {Promise<Blob>}
+ */
+export function packageGuideMarkdown(steps, images, meta) {
+    const imageNames = steps.map((step, idx) => (images[idx] ? getStepImageName(step, images[idx]) : null));
+    const markdown = buildGuideMarkdown(steps, imageNames, meta);
+
+    return createZip([
+        { name: `${slugify(meta.title)}.md`, data: markdown },
+        ...imageNames
+            .map((name, idx) => ({ name, data: images[idx] }))
+            .filter(file => file.name)
+    ]);
+}
+
+/**
+ * Build a guide as a single HTML file with its screenshots inlined
+ * @param {Array<Object>} steps - Guide steps
+ * @param {Array<Blob|null>} images - Screenshot per step
+ * @param {Object} meta - { sessionId, title }
+ * @returns {Promise<string>}
+ */
+export async function packageGuideHtml(steps, images, meta) {
+    const sources = await Promise.all(images.map(image => (image ? toDataUrl(image) : null)));
+    return buildGuideHtml(steps, sources, meta);
+}
+
+/**
+ * Open the browser's print dialog on a guide, for "Save as PDF"
+ * Printed from a hidden frame, so it is neither popup-blocked nor styled by the app.
+ * @param {string} html - Guide HTML (packageGuideHtml)
+ */
+export function printGuideHtml(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+
+    frame.addEventListener('load', () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove(), { once: true });
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    }, { once: true });
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
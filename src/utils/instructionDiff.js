@@ -0,0 +1,148 @@
+/**
+ * Instruction Diff Utility
+ * Compares two instruction documents (e.g. before/after the backend regenerates
+ * displayEffects) item by item and merges them from per-item left/right choices.
+ *
+ * Effects are matched by target selector and start time, narrations by start time;
+ * unmatched items are reported as added (right only) or removed (left only).
+ */
+
+/** Collections the diff covers */
+export const DIFF_COLLECTIONS = ['displayEffects', 'narrations'];
+
+/** Items whose start times differ by more than this never match, in seconds */
+export const MATCH_TIME_TOLERANCE = 1.5;
+
+/**
+ * Identity an item must share with its counterpart to be matched
+ * @param {string} collection - Collection name
+ * @param {Object} item - Effect or narration
+ * @returns {string|null}
+ */
+function getMatchKey(collection, item) {
+    return collection === 'displayEffects' ? item.target?.selector ?? null : null;
+}
+
+/**
+ * Pair up items of two lists: same match key, closest start time first
+ * @param {string} collection - Collection name
+ * @param {Array<Object>} leftItems - Items of the left document
+ * @param {Array<Object>} rightItems - Items of the right document
+ * @param {number} tolerance - Maximum start time difference in seconds
+ * @returns {Map<number, number>} Left index -> right index
+ */
+function matchItems(collection, leftItems, rightItems, tolerance) {
+    const candidates = [];
+
+    leftItems.forEach((left, leftIndex) => {
+        rightItems.forEach((right, rightIndex) => {
+            const distance = Math.abs(left.start - right.start);
+            if (distance <= tolerance && getMatchKey(collection, left) === getMatchKey(collection, right)) {
+                candidates.push({ leftIndex, rightIndex, distance });
+            }
+        });
+    });
+
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const pairs = new Map();
+    const usedRight = new Set();
+    for (const { leftIndex, rightIndex } of candidates) {
+        if (pairs.has(leftIndex) || usedRight.has(rightIndex)) continue;
+        pairs.set(leftIndex, rightIndex);
+        usedRight.add(rightIndex);
+    }
+
+    return pairs;
+}
+
+/**
+ * Top-level fields whose values differ between two items
+ * @param {Object} left - Left item
+ * @param {Object} right - Right item
+ * @returns {Array<string>} Field names
+ */
+function getChangedFields(left, right) {
+    const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+    return [...keys].filter(key => JSON.stringify(left[key]) !== JSON.stringify(right[key]));
+}
+
+/**
+ * Diff one collection of two documents
+ * @param {string} collection - Collection name
+ * @param {Array<Object>} [leftItems] - Items of the left document
+ * @param {Array<Object>} [rightItems] - Items of the right document
+ * @param {number} [tolerance] - Maximum start time difference for a match, in seconds
+ * @returns {Array<Object>} Entries sorted by start time:
+ *   { id, collection, status: 'unchanged'|'changed'|'added'|'removed', left, right, leftIndex, rightIndex, fields }
+ */
+export function diffCollection(collection, leftItems = [], rightItems = [], tolerance = MATCH_TIME_TOLERANCE) {
+    const pairs = matchItems(collection, leftItems, rightItems, tolerance);
+    const matchedRight = new Set(pairs.values());
+    const entries = [];
+
+    const addEntry = (leftIndex, rightIndex) => {
+        const left = leftIndex !== null ? leftItems[leftIndex] : null;
+        const right = rightIndex !== null ? rightItems[rightIndex] : null;
+        const fields = left && right ? getChangedFields(left, right) : [];
+
+        let status = 'unchanged';
+        if (!left) status = 'added';
+        else if (!right) status = 'removed';
+        else if (fields.length) status = 'changed';
+
+        entries.push({
+            id: `${collection}:${leftIndex ?? '-'}:${rightIndex ?? '-'}`,
+            collection,
+            status,
+            left,
+            right,
+            leftIndex,
+            rightIndex,
+            fields
+        });
+    };
+
+    leftItems.forEach((_, leftIndex) => addEntry(leftIndex, pairs.get(leftIndex) ?? null));
+    rightItems.forEach((_, rightIndex) => {
+        if (!matchedRight.has(rightIndex)) addEntry(null, rightIndex);
+    });
+
+    return entries.sort((a, b) => (a.left ?? a.right).start - (b.left ?? b.right).start);
+}
+
+/**
+ * Diff every compared collection of two instruction documents
+ * @param {Object} left - Left document
+ * @param {Object} right - Right document
+ * @param {number} [tolerance] - Maximum start time difference for a match, in seconds
+ * @returns {Object} Entries keyed by collection
+ */
+export function diffDocuments(left, right, tolerance = MATCH_TIME_TOLERANCE) {
+    return Object.fromEntries(DIFF_COLLECTIONS.map(collection => [
+        collection,
+        diffCollection(collection, left?.[collection], right?.[collection], tolerance)
+    ]));
+}
+
+/**
+ * Build a document from a diff, taking each item from the side chosen for it
+ * Items without a choice keep the left version; everything outside the compared
+ * collections comes from the left document.
+ * @param {Object} left - Left document
+ * @param {Object} diff - Result of diffDocuments(left, right)
+ * @param {Object} choices - Entry id -> 'left' | 'right'
+ * @returns {Object} Merged document
+ */
+export function mergeDocuments(left, diff, choices) {
+    const merged = { ...left };
+
+    for (const collection of DIFF_COLLECTIONS) {
+        merged[collection] = diff[collection]
+            .map(entry => ((choices[entry.id] ?? 'left') === 'left' ? entry.left : entry.right))
+            .filter(Boolean)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    return merged;
+}
@@ -12,56 +12,112 @@
  */
 
 /**
- * Generate a zoom instruction from effect data
- * Only includes pure facts: bounding box + time range + frame size
- * 
+ * Base fields every timed instruction carries
+ * Effect types may add their own fact fields on top (see effectRegistry)
+ */
+export const BASE_INSTRUCTION_FIELDS = ['effect', 'startTimeMs', 'durationMs', 'frame', 'boundingBox'];
+
+/**
+ * Generate an instruction of any effect type from effect data
+ * Only includes pure facts: time range + frame size (+ bounding box) + type-specific facts
+ *
+ * @param {string} type - Instruction effect type (e.g. 'zoom', 'blur')
  * @param {Object} effect - The display effect from instructions
  * @param {Object} frameSize - The video frame dimensions
+ * @param {Object} facts - Extra type-specific fact fields
+ * @param {Object} options - { withBounds: false } for effects without a target area
  * @returns {Object} Pure instruction for backend
  */
-export function generateZoomInstruction(effect, frameSize) {
+export function generateEffectInstruction(type, effect, frameSize, facts = {}, { withBounds = true } = {}) {
     const instruction = {
-        effect: 'zoom',
+        effect: type,
         startTimeMs: Math.round(effect.start * 1000),
         durationMs: Math.round((effect.end - effect.start) * 1000),
         frame: {
             width: frameSize.width,
             height: frameSize.height
-        },
-        boundingBox: {
+        }
+    };
+
+    if (withBounds) {
+        instruction.boundingBox = {
             x: effect.target.bounds.x,
             y: effect.target.bounds.y,
             width: effect.target.bounds.width,
             height: effect.target.bounds.height
-        }
-    };
+        };
+    }
 
-    return instruction;
+    return { ...instruction, ...facts };
 }
 
 /**
- * Generate multiple zoom instructions from an array of effects
- * @param {Array<Object>} effects - Array of display effects
+ * Generate a zoom instruction from effect data
+ * Only includes pure facts: bounding box + time range + frame size
+ * 
+ * @param {Object} effect - The display effect from instructions
  * @param {Object} frameSize - The video frame dimensions
- * @returns {Array<Object>} Array of pure instructions
+ * @returns {Object} Pure instruction for backend
  */
-export function generateZoomInstructions(effects, frameSize) {
-    return effects
-        .filter(effect => effect.style?.zoom?.enabled && effect.target?.bounds)
-        .map(effect => generateZoomInstruction(effect, frameSize));
+export function generateZoomInstruction(effect, frameSize) {
+    return generateEffectInstruction('zoom', effect, frameSize);
 }
 
 /**
- * Validate a zoom instruction before sending to backend
+ * Fields of a cut instruction (a removed range, no frame or target area)
+ */
+export const CUT_INSTRUCTION_FIELDS = ['effect', 'startTimeMs', 'endTimeMs'];
+
+/**
+ * Generate a cut instruction from a cut range
+ * Only includes pure facts: the removed range in source time
+ *
+ * @param {Object} cut - { start, end } in seconds of the source video
+ * @returns {Object} Pure instruction for backend
+ */
+export function generateCutInstruction(cut) {
+    return {
+        effect: 'cut',
+        startTimeMs: Math.round(cut.start * 1000),
+        endTimeMs: Math.round(cut.end * 1000)
+    };
+}
+
+/**
+ * Blur intensity range (abstract strength level, NOT a CSS blur radius)
+ * The backend maps the level to its own filter strength
+ */
+export const MIN_BLUR_INTENSITY = 1;
+export const MAX_BLUR_INTENSITY = 10;
+export const DEFAULT_BLUR_INTENSITY = 6;
+
+/**
+ * Generate a blur (redaction) instruction from effect data
+ * Same pure facts as zoom (bounding box + time range + frame size) plus intensity
+ *
+ * @param {Object} effect - The display effect from instructions
+ * @param {Object} frameSize - The video frame dimensions
+ * @returns {Object} Pure instruction for backend
+ */
+export function generateBlurInstruction(effect, frameSize) {
+    return generateEffectInstruction('blur', effect, frameSize, {
+        intensity: effect.style.blur.intensity ?? DEFAULT_BLUR_INTENSITY
+    });
+}
+
+/**
+ * Validate the fields every instruction shares:
+ * effect type, time range, frame and (unless disabled) a bounding box inside the frame
  * @param {Object} instruction - The instruction to validate
- * @returns {Object} { valid: boolean, errors: string[] }
+ * @param {string} type - Expected effect type
+ * @param {Object} options - { withBounds: false } for effects without a target area
+ * @returns {Array<string>} Validation errors (empty when valid)
  */
-export function validateZoomInstruction(instruction) {
+export function validateBaseInstruction(instruction, type, { withBounds = true } = {}) {
     const errors = [];
 
-    // Check required fields exist
-    if (!instruction.effect || instruction.effect !== 'zoom') {
-        errors.push('Effect must be "zoom"');
+    if (!instruction.effect || instruction.effect !== type) {
+        errors.push(`Effect must be "${type}"`);
     }
 
     if (typeof instruction.startTimeMs !== 'number' || instruction.startTimeMs < 0) {
@@ -84,6 +140,10 @@ export function validateZoomInstruction(instruction) {
         }
     }
 
+    if (!withBounds) {
+        return errors;
+    }
+
     // Validate bounding box
     if (!instruction.boundingBox) {
         errors.push('Bounding box is required');
@@ -110,6 +170,63 @@ export function validateZoomInstruction(instruction) {
         }
     }
 
+    return errors;
+}
+
+/**
+ * Validate a zoom instruction before sending to backend
+ * @param {Object} instruction - The instruction to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateZoomInstruction(instruction) {
+    const errors = validateBaseInstruction(instruction, 'zoom');
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a blur instruction before sending to backend
+ * @param {Object} instruction - The instruction to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateBlurInstruction(instruction) {
+    const errors = validateBaseInstruction(instruction, 'blur');
+
+    if (!Number.isInteger(instruction.intensity) ||
+        instruction.intensity < MIN_BLUR_INTENSITY ||
+        instruction.intensity > MAX_BLUR_INTENSITY) {
+        errors.push(`intensity must be an integer between ${MIN_BLUR_INTENSITY} and ${MAX_BLUR_INTENSITY}`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a cut instruction before sending to backend
+ * @param {Object} instruction - The instruction to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateCutInstruction(instruction) {
+    const errors = [];
+
+    if (instruction.effect !== 'cut') {
+        errors.push('Effect must be "cut"');
+    }
+
+    if (!Number.isInteger(instruction.startTimeMs) || instruction.startTimeMs < 0) {
+        errors.push('startTimeMs must be a non-negative integer');
+    }
+
+    if (!Number.isInteger(instruction.endTimeMs) || instruction.endTimeMs <= instruction.startTimeMs) {
+        errors.push('endTimeMs must be an integer after startTimeMs');
+    }
+
     return {
         valid: errors.length === 0,
         errors
@@ -118,10 +235,12 @@ export function validateZoomInstruction(instruction) {
 
 /**
  * Check if instruction contains any forbidden fields
+ * When allowedFields is given, top-level fields outside that list are violations too
  * @param {Object} instruction - The instruction to check
+ * @param {Array<string>} [allowedFields] - Declared top-level fields for this effect type
  * @returns {Object} { clean: boolean, violations: string[] }
  */
-export function checkInstructionPurity(instruction) {
+export function checkInstructionPurity(instruction, allowedFields = null) {
     const forbiddenFields = [
         'scale',
         'transformOrigin',
@@ -154,6 +273,14 @@ export function checkInstructionPurity(instruction) {
 
     checkObject(instruction);
 
+    if (allowedFields) {
+        for (const key of Object.keys(instruction)) {
+            if (!allowedFields.includes(key) && !forbiddenFields.includes(key)) {
+                violations.push(`Undeclared field: ${key}`);
+            }
+        }
+    }
+
     return {
         clean: violations.length === 0,
         violations
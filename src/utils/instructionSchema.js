@@ -0,0 +1,114 @@
+/**
+ * Instruction Schema
+ * Versioning for instruction documents (the instructions.json / session results shape)
+ * and the payloads generated for the Go backend.
+ *
+ * Every document is upgraded to SCHEMA_VERSION on load, one migration step at a time,
+ * so old sessions keep replaying in PreviewPage and re-exporting after the format changes.
+ *
+ * Changing the format = bump SCHEMA_VERSION and add MIGRATIONS[previousVersion].
+ */
+
+import { roundTime } from './timelineEditing';
+
+/** Current instruction schema version */
+export const SCHEMA_VERSION = 2;
+
+/** Version assumed for documents written before versioning existed */
+const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * Copy of a timed item with start/end rounded to millisecond precision
+ * @param {Object} item - Object with start/end in seconds
+ * @returns {Object} Copy with rounded times
+ */
+function roundWindow(item) {
+    return {
+        ...item,
+        start: roundTime(item.start),
+        end: roundTime(item.end)
+    };
+}
+
+/**
+ * Migration steps keyed by the version they upgrade FROM
+ * Each step receives a document of that version and returns one of the next version
+ */
+const MIGRATIONS = {
+    /**
+     * v1 -> v2
+     * v1 is the unversioned shape served as /instructions.json and by /api/process-session,
+     * whose times carry float noise (17.880000000000003)
+     */
+    1: (document) => {
+        const upgraded = { ...document, schemaVersion: 2 };
+
+        if (Array.isArray(document.displayEffects)) {
+            upgraded.displayEffects = document.displayEffects.map(roundWindow);
+        }
+        if (Array.isArray(document.narrations)) {
+            upgraded.narrations = document.narrations.map(roundWindow);
+        }
+
+        return upgraded;
+    }
+};
+
+/**
+ * Read the schema version of an instruction document
+ * @param {Object} document - Instruction document
+ * @returns {number} Declared version, or the legacy version when none is declared
+ */
+export function getSchemaVersion(document) {
+    return Number.isInteger(document?.schemaVersion) ? document.schemaVersion : LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Copy of a current-format document marked with SCHEMA_VERSION
+ * Every document the app writes (saved files, drafts) is stamped, so it is never
+ * read back as unversioned and sent through the v1 migration.
+ * @param {Object} document - Instruction document in the current format
+ * @returns {Object} Stamped copy
+ */
+export function withSchemaVersion(document) {
+    return { ...document, schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Upgrade an instruction document to the current schema version
+ * @param {Object} document - Instruction document of any known version
+ * @returns {Object} { document, fromVersion, migrated }
+ * @throws {Error} When the document is not an object or is newer than this app understands
+ */
+export function migrateInstructionDocument(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('Instruction document must be a JSON object');
+    }
+
+    const fromVersion = getSchemaVersion(document);
+
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(
+            `Instruction schema v${fromVersion} is newer than supported v${SCHEMA_VERSION} - update the app`
+        );
+    }
+
+    let current = document;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from instruction schema v${version}`);
+        }
+        current = migrate(current);
+    }
+
+    if (fromVersion !== SCHEMA_VERSION) {
+        console.log('[SCHEMA] Migrated instructions from v' + fromVersion, 'to v' + SCHEMA_VERSION);
+    }
+
+    return {
+        document: current,
+        fromVersion,
+        migrated: fromVersion !== SCHEMA_VERSION
+    };
+}
@@ -0,0 +1,24 @@
+/**
+ * Keyboard Utility
+ * Shared checks for the window-level shortcut handlers (player transport, edit history)
+ */
+
+/** Input types that do not take text, so shortcuts still apply while they are focused */
+const NON_TEXT_INPUT_TYPES = ['range', 'checkbox', 'radio', 'button', 'submit', 'color', 'file'];
+
+/**
+ * Whether a keyboard event comes from a text field, where shortcuts must not fire
+ * (text fields keep their own native undo and cursor keys)
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {boolean}
+ */
+export function isTypingTarget(e) {
+    const target = e.target;
+    if (!target) return false;
+
+    if (target.tagName === 'INPUT') {
+        return !NON_TEXT_INPUT_TYPES.includes(target.type);
+    }
+
+    return target.isContentEditable || ['TEXTAREA', 'SELECT'].includes(target.tagName);
+}
@@ -0,0 +1,176 @@
+/**
+ * Timeline Editing Utility
+ * Pure helpers for moving, trimming, snapping and creating time windows ({start, end} in seconds)
+ * on the editable effect and narration timelines
+ */
+
+/** Shortest window the timeline allows, in seconds */
+export const MIN_WINDOW_DURATION = 0.2;
+
+/** Length of a newly created effect, in seconds */
+export const DEFAULT_EFFECT_DURATION = 2;
+
+/** Window edges within this distance of a snap point jump onto it, in seconds */
+export const SNAP_THRESHOLD = 0.25;
+
+/** Silence between consecutive narration windows longer than this is flagged, in seconds */
+export const NARRATION_GAP_WARNING = 1;
+
+/**
+ * Round a time value to millisecond precision
+ * Avoids float noise like 17.880000000000003 leaking into edited instructions
+ * @param {number} time - Time in seconds
+ * @returns {number} Time rounded to the nearest millisecond
+ */
+export function roundTime(time) {
+    return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * Move a window along the timeline, keeping its length
+ * @param {Object} item - Object with start/end in seconds
+ * @param {number} delta - Offset in seconds (may be negative)
+ * @param {number} duration - Total timeline duration in seconds
+ * @returns {Object} Copy of item with updated start/end
+ */
+export function moveWindow(item, delta, duration) {
+    const length = item.end - item.start;
+    const maxStart = Math.max(0, duration - length);
+    const start = Math.max(0, Math.min(item.start + delta, maxStart));
+
+    return {
+        ...item,
+        start: roundTime(start),
+        end: roundTime(start + length)
+    };
+}
+
+/**
+ * Trim one edge of a window to a new time
+ * @param {Object} item - Object with start/end in seconds
+ * @param {'start'|'end'} edge - Which edge is being dragged
+ * @param {number} time - New time for that edge in seconds
+ * @param {number} duration - Total timeline duration in seconds
+ * @returns {Object} Copy of item with updated start/end
+ */
+export function resizeWindow(item, edge, time, duration) {
+    if (edge === 'start') {
+        const start = Math.max(0, Math.min(time, item.end - MIN_WINDOW_DURATION));
+        return { ...item, start: roundTime(start) };
+    }
+
+    const end = Math.min(duration, Math.max(time, item.start + MIN_WINDOW_DURATION));
+    return { ...item, end: roundTime(end) };
+}
+
+/**
+ * Nearest snap point within the threshold of a time
+ * @param {number} time - Time in seconds
+ * @param {Array<number>} snapPoints - Candidate times (e.g. instructions[].t)
+ * @param {number} [threshold] - Maximum snapping distance in seconds
+ * @returns {number|null} Snap point, or null when none is close enough
+ */
+export function findSnapPoint(time, snapPoints, threshold = SNAP_THRESHOLD) {
+    let best = null;
+    for (const point of snapPoints) {
+        if (Math.abs(point - time) <= threshold && (best === null || Math.abs(point - time) < Math.abs(best - time))) {
+            best = point;
+        }
+    }
+    return best;
+}
+
+/**
+ * Snap a moved or trimmed window onto nearby snap points
+ * A moved window snaps by whichever edge is closer to a point; a trimmed window snaps its dragged edge
+ * @param {Object} item - Window after moveWindow/resizeWindow
+ * @param {'move'|'start'|'end'} mode - Drag mode
+ * @param {Array<number>} snapPoints - Candidate times
+ * @param {number} duration - Total timeline duration in seconds
+ * @returns {Object} Snapped copy (or the item itself when nothing is in range)
+ */
+export function snapWindow(item, mode, snapPoints, duration) {
+    if (mode === 'move') {
+        const startPoint = findSnapPoint(item.start, snapPoints);
+        const endPoint = findSnapPoint(item.end, snapPoints);
+        const startDelta = startPoint !== null ? startPoint - item.start : Infinity;
+        const endDelta = endPoint !== null ? endPoint - item.end : Infinity;
+        const delta = Math.abs(startDelta) <= Math.abs(endDelta) ? startDelta : endDelta;
+
+        return Number.isFinite(delta) ? moveWindow(item, delta, duration) : item;
+    }
+
+    const point = findSnapPoint(item[mode], snapPoints);
+    return point !== null ? resizeWindow(item, mode, point, duration) : item;
+}
+
+/**
+ * Overlaps and long gaps between consecutive windows (in start order)
+ * @param {Array<Object>} windows - Objects with start/end in seconds
+ * @param {number} [maxGap] - Gaps longer than this are reported, in seconds
+ * @returns {Array<Object>} { type: 'overlap'|'gap', index, nextIndex, amount } with indices into windows
+ */
+export function findWindowIssues(windows, maxGap = NARRATION_GAP_WARNING) {
+    const order = windows
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => a.item.start - b.item.start);
+
+    const issues = [];
+    for (let i = 0; i < order.length - 1; i++) {
+        const current = order[i];
+        const next = order[i + 1];
+        const amount = roundTime(next.item.start - current.item.end);
+
+        if (amount < 0) {
+            issues.push({ type: 'overlap', index: current.index, nextIndex: next.index, amount: -amount });
+        } else if (amount > maxGap) {
+            issues.push({ type: 'gap', index: current.index, nextIndex: next.index, amount });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Create a new zoom display effect starting at the given time
+ * The target defaults to a centered box covering a third of the recording,
+ * in the same recording-space pixel coordinates as recorded bounds
+ *
+ * @param {number} time - Start time in seconds (usually the playhead)
+ * @param {Object} recordingDimensions - { recordingWidth, recordingHeight }
+ * @param {number} duration - Total timeline duration in seconds
+ * @param {Object} [bounds] - Target bounds in recording space (e.g. drawn with the box tool)
+ * @returns {Object} New display effect
+ */
+export function createZoomEffect(time, recordingDimensions, duration, bounds = null) {
+    const { recordingWidth, recordingHeight } = recordingDimensions;
+    const width = Math.round(recordingWidth / 3);
+    const height = Math.round(recordingHeight / 3);
+
+    const start = Math.max(0, Math.min(time, duration - MIN_WINDOW_DURATION));
+    const end = Math.min(duration, start + DEFAULT_EFFECT_DURATION);
+
+    return {
+        start: roundTime(start),
+        end: roundTime(end),
+        type: 'highlight',
+        target: {
+            selector: null,
+            bounds: bounds || {
+                x: Math.round((recordingWidth - width) / 2),
+                y: Math.round((recordingHeight - height) / 2),
+                width,
+                height
+            }
+        },
+        style: {
+            dimBackground: false,
+            outline: 'focus',
+            zoom: {
+                enabled: true,
+                scale: 1.08
+            }
+        }
+    };
+}
+
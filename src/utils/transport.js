@@ -0,0 +1,118 @@
+/**
+ * Transport Utility
+ * Pure helpers for the shared player: frame-rate snapping, frame stepping,
+ * timecodes, edit-point boundaries, playback speeds and J/K/L shuttle speeds
+ */
+
+/** Frame rate assumed until one is detected from the video */
+export const DEFAULT_FRAME_RATE = 30;
+
+/** Frame rates a measured rate is snapped to */
+const COMMON_FRAME_RATES = [15, 23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+
+/** J/L shuttle speeds, in multiples of the selected playback speed */
+export const SHUTTLE_SPEEDS = [1, 2, 4, 8];
+
+/** Playback speeds offered by the speed selector */
+export const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+/** Boundaries closer than this (seconds) to the playhead count as "here" when jumping */
+const BOUNDARY_EPSILON = 0.01;
+
+/**
+ * Snap a measured frame rate to the nearest common rate
+ * Screen recordings are often variable-rate, so anything far from a common rate is rounded
+ * @param {number} measured - Frames per second measured from presented frames
+ * @returns {number} Snapped frame rate
+ */
+export function snapFrameRate(measured) {
+    if (!measured || !isFinite(measured) || measured <= 0) return DEFAULT_FRAME_RATE;
+
+    const nearest = COMMON_FRAME_RATES.reduce((best, rate) =>
+        Math.abs(rate - measured) < Math.abs(best - measured) ? rate : best
+    );
+
+    return Math.abs(nearest - measured) / nearest < 0.05 ? nearest : Math.round(measured);
+}
+
+/**
+ * Time of the frame a number of frames away from the given time
+ * Lands in the middle of the frame so decoders never round to the neighbouring one
+ * @param {number} time - Current time in seconds
+ * @param {number} frameRate - Frames per second
+ * @param {number} frames - Frames to move (negative = backwards)
+ * @param {number} duration - Total duration in seconds
+ * @returns {number} New time in seconds
+ */
+export function stepFrameTime(time, frameRate, frames, duration) {
+    const lastFrame = Math.max(0, Math.floor(duration * frameRate) - 1);
+    const frame = Math.floor(time * frameRate + 1e-6);
+    const target = Math.max(0, Math.min(frame + frames, lastFrame));
+
+    return (target + 0.5) / frameRate;
+}
+
+/**
+ * Format a time as m:ss:ff (minutes, seconds, frames)
+ * @param {number} time - Time in seconds
+ * @param {number} frameRate - Frames per second
+ * @returns {string} Timecode string
+ */
+export function formatTimecode(time, frameRate) {
+    const safeTime = !time || isNaN(time) || !isFinite(time) ? 0 : time;
+
+    const fps = Math.round(frameRate);
+    const totalFrames = Math.floor(safeTime * frameRate + 1e-6);
+    const frames = totalFrames % fps;
+    const totalSeconds = Math.floor(totalFrames / fps);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+
+    return `${minutes}:${seconds.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Collect the sorted, de-duplicated start/end times of timed items (effects, narrations)
+ * @param {...Array<Object>} lists - Arrays of objects with start/end in seconds
+ * @returns {Array<number>} Boundary times in seconds
+ */
+export function collectBoundaries(...lists) {
+    const times = lists
+        .flatMap(list => list || [])
+        .flatMap(item => [item.start, item.end])
+        .filter(time => typeof time === 'number' && isFinite(time));
+
+    return [...new Set(times.map(time => Math.round(time * 1000) / 1000))].sort((a, b) => a - b);
+}
+
+/**
+ * Find the previous or next boundary relative to the playhead
+ * @param {Array<number>} boundaries - Sorted boundary times
+ * @param {number} time - Current time in seconds
+ * @param {number} direction - -1 for previous, 1 for next
+ * @returns {number|null} Boundary time, or null when there is none in that direction
+ */
+export function findAdjacentBoundary(boundaries, time, direction) {
+    if (direction < 0) {
+        const previous = boundaries.filter(boundary => boundary < time - BOUNDARY_EPSILON);
+        return previous.length ? previous[previous.length - 1] : null;
+    }
+
+    const next = boundaries.find(boundary => boundary > time + BOUNDARY_EPSILON);
+    return next ?? null;
+}
+
+/**
+ * Next J/K/L shuttle rate after pressing J (-1) or L (1)
+ * Pressing the same direction again speeds up; the opposite direction starts over at 1x
+ * @param {number} rate - Current rate (0 = stopped, negative = reverse)
+ * @param {number} direction - -1 for J, 1 for L
+ * @returns {number} New rate
+ */
+export function nextShuttleRate(rate, direction) {
+    if (Math.sign(rate) !== direction) return direction * SHUTTLE_SPEEDS[0];
+
+    const index = SHUTTLE_SPEEDS.indexOf(Math.abs(rate));
+    const speed = SHUTTLE_SPEEDS[Math.min(index + 1, SHUTTLE_SPEEDS.length - 1)];
+    return direction * speed;
+}
@@ -0,0 +1,172 @@
+/**
+ * Word Timing Utility
+ * Reads the Deepgram word timings of a recording, locates the narration and the word being
+ * heard at a playback time (karaoke-style highlighting of the Script panel), and groups and
+ * searches the words for the Transcript panel.
+ *
+ * Word timings come from the Deepgram transcription the backend runs on the recording.
+ * Narration text is a rewrite of what was said in its window, so the current narration word
+ * is found by how far through the window's spoken words playback is, not by matching words.
+ */
+
+/**
+ * Extract Deepgram word timings from a processing response or `transcript` WebSocket message
+ * Accepts the shapes the backend has served: a top-level `words` array, a `transcript`
+ * object carrying `words`, or the raw Deepgram result (itself, `deepgramRaw` or `transcript`).
+ * @param {Object} response - /api/process-session response or transcript message data
+ * @returns {Array<Object>} [{ word, start, end, confidence, speaker }] sorted by start;
+ *   confidence and speaker are null when Deepgram did not report them
+ */
+export function extractWordTimings(response) {
+    const fromDeepgram = (raw) => raw?.results?.channels?.[0]?.alternatives?.[0]?.words;
+
+    const words = [
+        response?.words,
+        response?.transcript?.words,
+        fromDeepgram(response),
+        fromDeepgram(response?.transcript),
+        fromDeepgram(response?.deepgramRaw)
+    ].find(Array.isArray);
+
+    if (!words) return [];
+
+    return words
+        .filter(word => Number.isFinite(word.start) && Number.isFinite(word.end))
+        .map(word => ({
+            word: word.punctuated_word || word.word,
+            start: word.start,
+            end: word.end,
+            confidence: Number.isFinite(word.confidence) ? word.confidence : null,
+            speaker: word.speaker ?? null
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the narration whose window contains a time
+ * @param {Array<Object>} narrations - Narrations with start/end
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Index of the narration, or -1 between/outside windows
+ */
+export function findActiveNarration(narrations = [], time) {
+    return narrations.findIndex(narration => time >= narration.start && time < narration.end);
+}
+
+/**
+ * Split narration text into alternating word and whitespace tokens
+ * Whitespace is kept so the tokens render back to exactly the original text.
+ * @param {string} text - Narration text
+ * @returns {Array<Object>} [{ text, wordIndex }] with wordIndex null for whitespace
+ */
+export function tokenizeWords(text = '') {
+    let wordIndex = 0;
+
+    return text.split(/(\s+)/).filter(Boolean).map(token => ({
+        text: token,
+        wordIndex: /^\s+$/.test(token) ? null : wordIndex++
+    }));
+}
+
+/**
+ * Progress (0-1) through a narration window, measured in spoken words
+ * Pauses in the recording hold the progress instead of advancing it. Without word timings
+ * in the window, progress is linear in time.
+ * @param {Object} narration - Narration with start/end
+ * @param {number} time - Playback time in seconds
+ * @param {Array<Object>} wordTimings - Output of extractWordTimings
+ * @returns {number}
+ */
+function getSpokenProgress(narration, time, wordTimings) {
+    const spoken = wordTimings.filter(word => word.start >= narration.start && word.start < narration.end);
+
+    if (spoken.length === 0) {
+        return (time - narration.start) / (narration.end - narration.start);
+    }
+
+    let progress = 0;
+    for (const word of spoken) {
+        if (time >= word.end) {
+            progress += 1;
+        } else {
+            if (time > word.start) progress += (time - word.start) / (word.end - word.start);
+            break;
+        }
+    }
+
+    return progress / spoken.length;
+}
+
+/**
+ * Index of the narration word being heard at a time
+ * @param {Object} narration - Narration with text and start/end
+ * @param {number} time - Playback time in seconds
+ * @param {Array<Object>} [wordTimings] - Output of extractWordTimings
+ * @returns {number} Word index (as in tokenizeWords), or -1 outside the window
+ */
+export function findActiveWord(narration, time, wordTimings = []) {
+    if (!narration || time < narration.start || time >= narration.end) return -1;
+
+    const wordCount = tokenizeWords(narration.text).filter(token => token.wordIndex !== null).length;
+    if (wordCount === 0) return -1;
+
+    const progress = getSpokenProgress(narration, time, wordTimings);
+    return Math.min(wordCount - 1, Math.max(0, Math.floor(progress * wordCount)));
+}
+
+/**
+ * Group consecutive words by speaker
+ * @param {Array<Object>} wordTimings - Output of extractWordTimings
+ * @returns {Array<Object>} [{ speaker, start, end, words }] where each word keeps its
+ *   `index` in wordTimings
+ */
+export function groupSpeakerTurns(wordTimings = []) {
+    const turns = [];
+
+    wordTimings.forEach((word, index) => {
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === word.speaker) {
+            last.words.push({ ...word, index });
+            last.end = word.end;
+        } else {
+            turns.push({ speaker: word.speaker, start: word.start, end: word.end, words: [{ ...word, index }] });
+        }
+    });
+
+    return turns;
+}
+
+/**
+ * Normalize a word for matching: lowercase, punctuation stripped
+ * @param {string} word - Word as transcribed
+ * @returns {string}
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Find every occurrence of a phrase in the transcript
+ * Matching is word by word, ignoring case and punctuation; the last query word may be a prefix
+ * so results appear while typing.
+ * @param {Array<Object>} wordTimings - Output of extractWordTimings
+ * @param {string} phrase - Search phrase
+ * @returns {Array<Object>} [{ first, last }] word indices of each match, in transcript order
+ */
+export function searchTranscript(wordTimings = [], phrase = '') {
+    const query = phrase.split(/\s+/).map(normalizeWord).filter(Boolean);
+    if (query.length === 0) return [];
+
+    const words = wordTimings.map(word => normalizeWord(word.word));
+    const matches = [];
+
+    for (let first = 0; first + query.length <= words.length; first++) {
+        const found = query.every((term, offset) => (
+            offset === query.length - 1
+                ? words[first + offset].startsWith(term)
+                : words[first + offset] === term
+        ));
+        if (found) matches.push({ first, last: first + query.length - 1 });
+    }
+
+    return matches;
+}
@@ -0,0 +1,120 @@
+/**
+ * Zip Archive Utility
+ * Minimal zip writer for packaging exports (a document plus its images) as one download.
+ * Entries are stored uncompressed: the payload is mostly PNG/WebP, which would not shrink
+ * anyway, and it keeps the writer small enough to not need a dependency.
+ */
+
+const textEncoder = new TextEncoder();
+
+/** CRC-32 lookup table (IEEE polynomial, as zip requires) */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date as MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Bytes of an entry's content
+ * @param {string|Uint8Array|ArrayBuffer|Blob} data - Content
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+    if (typeof data === 'string') return textEncoder.encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    return new Uint8Array(data);
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<Object>} files - [{ name, data }], name may contain folders ("images/step-01.png")
+ * @param {Date} [modified] - Modification date stamped on every entry
+ * @returns {Promise<Blob>} application/zip blob
+ */
+export async function createZip(files, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = textEncoder.encode(file.name);
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+
+        // Bit 11: the file name is UTF-8
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+
+        parts.push(local, name, data);
+        centralDirectory.push(central, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}